@@ -1,33 +1,51 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import { ToastContainer } from 'react-toastify'
 import 'react-toastify/dist/ReactToastify.css'
+import { AuthProvider } from './context/AuthContext'
 import { CartProvider } from './context/CartContext'
+import { WishlistProvider } from './context/WishlistContext'
+import { CompareProvider } from './context/CompareContext'
 import Navbar from './components/Navbar'
+import CompareTray from './components/CompareTray'
 import Home from './pages/Home'
 import Products from './pages/Products'
 import ProductDetail from './pages/ProductDetail'
 import Cart from './pages/Cart'
+import Wishlist from './pages/Wishlist'
+import Compare from './pages/Compare'
 import Checkout from './pages/Checkout'
+import OrderConfirmation from './pages/OrderConfirmation'
+import PaymentFailed from './pages/PaymentFailed'
+import PaymentCancelled from './pages/PaymentCancelled'
+import PaymentPending from './pages/PaymentPending'
+import PaymentRetry from './pages/PaymentRetry'
 import Login from './pages/Login'
 import Register from './pages/Register'
 import AdminDashboard from './pages/AdminDashboard'
 import SellerDashboard from './pages/SellerDashboard'
+import Profile from './pages/Profile'
+import AddressBook from './pages/AddressBook'
+import OrderHistory from './pages/OrderHistory'
+import OrderDetail from './pages/OrderDetail'
+import RequireRole from './components/RequireRole'
 
 /**
  * App Component - Root component of the React application
  * 
  * WHAT IT DOES:
  * - Sets up routing for all pages in the application
- * - Provides CartContext to all child components
+ * - Provides AuthContext, CartContext, WishlistContext and CompareContext to all child components
  * - Renders Navbar on all pages
  * - Configures toast notifications for user feedback
  * 
  * FLOW:
  * 1. Application starts → App component renders
- * 2. CartProvider wraps everything → provides cart state to all components
+ * 2. AuthProvider wraps everything → provides the logged-in user to all components
+ *    CartProvider and WishlistProvider sit inside it → load the cart and wishlist for that user
  * 3. Router enables client-side routing → handles URL changes
  * 4. Navbar renders on all pages → provides navigation
  * 5. Routes define which component renders for each URL path
+ *    Protected routes are wrapped in RequireRole (login + role check)
  * 6. User navigates → Router matches URL → renders corresponding component
  * 
  * RETURNS:
@@ -35,41 +53,106 @@ import SellerDashboard from './pages/SellerDashboard'
  */
 function App() {
   return (
-    // CartProvider wraps entire app to provide cart state to all components
+    // AuthProvider wraps entire app to provide the logged-in user via useAuth() hook
+    // CartProvider needs the user to pick the per-user cart, so it sits inside
     // All child components can access cart functions via useCart() hook
-    <CartProvider>
-      {/* Router enables client-side routing (no page refresh on navigation) */}
-      <Router>
-        <div className="min-h-screen bg-gray-50">
-          {/* Navbar appears on all pages */}
-          <Navbar />
-          {/* Routes define URL paths and which component to render */}
-          <Routes>
-            {/* Home page - displays featured products */}
-            <Route path="/" element={<Home />} />
-            {/* Products page - displays all products with search */}
-            <Route path="/products" element={<Products />} />
-            {/* Product detail page - :id is a URL parameter (e.g., /product/123) */}
-            <Route path="/product/:id" element={<ProductDetail />} />
-            {/* Shopping cart page - displays cart items */}
-            <Route path="/cart" element={<Cart />} />
-            {/* Checkout page - order placement form */}
-            <Route path="/checkout" element={<Checkout />} />
-            {/* Login page - user authentication */}
-            <Route path="/login" element={<Login />} />
-            {/* Register page - new user registration */}
-            <Route path="/register" element={<Register />} />
-            {/* Admin dashboard - only accessible by ADMIN role */}
-            <Route path="/admin/dashboard" element={<AdminDashboard />} />
-            {/* Seller dashboard - only accessible by SELLER role */}
-            <Route path="/seller/dashboard" element={<SellerDashboard />} />
-          </Routes>
-          {/* ToastContainer displays notification messages (success, error, etc.) */}
-          {/* position: where notifications appear, autoClose: auto-hide after 3 seconds */}
-          <ToastContainer position="top-right" autoClose={3000} />
-        </div>
-      </Router>
-    </CartProvider>
+    // WishlistProvider is keyed by user the same way (useWishlist() hook)
+    // CompareProvider holds the products picked for /compare (useCompare() hook)
+    <AuthProvider>
+      <CartProvider>
+        <WishlistProvider>
+          <CompareProvider>
+            {/* Router enables client-side routing (no page refresh on navigation) */}
+            <Router>
+              <div className="min-h-screen bg-gray-50">
+                {/* Navbar appears on all pages */}
+                <Navbar />
+                {/* Routes define URL paths and which component to render */}
+                <Routes>
+                  {/* Home page - displays featured products */}
+                  <Route path="/" element={<Home />} />
+                  {/* Products page - displays all products with search */}
+                  <Route path="/products" element={<Products />} />
+                  {/* Product detail page - :id is a URL parameter (e.g., /product/123) */}
+                  <Route path="/product/:id" element={<ProductDetail />} />
+                  {/* Shopping cart page - displays cart items */}
+                  <Route path="/cart" element={<Cart />} />
+                  {/* Wishlist page - products saved for later (guests too, like the cart) */}
+                  <Route path="/wishlist" element={<Wishlist />} />
+                  {/* Compare page - up to four products side by side */}
+                  <Route path="/compare" element={<Compare />} />
+                  {/* Checkout page - order placement form (customers and sellers) */}
+                  <Route
+                    path="/checkout"
+                    element={<RequireRole roles={['USER', 'SELLER']}><Checkout /></RequireRole>}
+                  />
+                  {/* Order confirmation - shown after payment succeeds, printable receipt */}
+                  <Route
+                    path="/order/:id/confirmation"
+                    element={<RequireRole><OrderConfirmation /></RequireRole>}
+                  />
+                  {/* Payment outcome screens for an order awaiting payment */}
+                  <Route
+                    path="/checkout/payment/:orderId/failed"
+                    element={<RequireRole roles={['USER', 'SELLER']}><PaymentFailed /></RequireRole>}
+                  />
+                  <Route
+                    path="/checkout/payment/:orderId/cancelled"
+                    element={<RequireRole roles={['USER', 'SELLER']}><PaymentCancelled /></RequireRole>}
+                  />
+                  <Route
+                    path="/checkout/payment/:orderId/pending"
+                    element={<RequireRole roles={['USER', 'SELLER']}><PaymentPending /></RequireRole>}
+                  />
+                  <Route
+                    path="/checkout/payment/:orderId/retry"
+                    element={<RequireRole roles={['USER', 'SELLER']}><PaymentRetry /></RequireRole>}
+                  />
+                  {/* Profile page - edit account, change password, delete account */}
+                  <Route
+                    path="/profile"
+                    element={<RequireRole><Profile /></RequireRole>}
+                  />
+                  {/* Address book - saved shipping addresses used at checkout */}
+                  <Route
+                    path="/account/addresses"
+                    element={<RequireRole><AddressBook /></RequireRole>}
+                  />
+                  {/* Account area - the logged-in user's orders */}
+                  <Route
+                    path="/account/orders"
+                    element={<RequireRole><OrderHistory /></RequireRole>}
+                  />
+                  <Route
+                    path="/account/orders/:id"
+                    element={<RequireRole><OrderDetail /></RequireRole>}
+                  />
+                  {/* Login page - user authentication */}
+                  <Route path="/login" element={<Login />} />
+                  {/* Register page - new user registration */}
+                  <Route path="/register" element={<Register />} />
+                  {/* Admin dashboard - only accessible by ADMIN role */}
+                  <Route
+                    path="/admin/dashboard"
+                    element={<RequireRole roles={['ADMIN']}><AdminDashboard /></RequireRole>}
+                  />
+                  {/* Seller dashboard - only accessible by SELLER role */}
+                  <Route
+                    path="/seller/dashboard"
+                    element={<RequireRole roles={['SELLER']}><SellerDashboard /></RequireRole>}
+                  />
+                </Routes>
+                {/* Floating tray with the products picked for comparison */}
+                <CompareTray />
+                {/* ToastContainer displays notification messages (success, error, etc.) */}
+                {/* position: where notifications appear, autoClose: auto-hide after 3 seconds */}
+                <ToastContainer position="top-right" autoClose={3000} />
+              </div>
+            </Router>
+          </CompareProvider>
+        </WishlistProvider>
+      </CartProvider>
+    </AuthProvider>
   )
 }
 
@@ -0,0 +1,132 @@
+import { TAX_COUNTRIES, TAX_REGIONS, normalizeRegion } from '../pricing/tax'
+
+/**
+ * AddressFields Component - Name, email, street, city, zip, region and country inputs
+ * 
+ * WHAT IT DOES:
+ * - Renders the shipping address inputs shared by Checkout and the address book
+ * - Each input's name matches the shippingInfo field it edits
+ * - Countries whose tax depends on the region (TAX_REGIONS) get a region select, so the
+ *   saved value is always a code the tax table knows
+ * 
+ * PARAMETERS:
+ * @param {Object} value - { name, email, address, city, zipCode, region, country }
+ * @param {Function} onChange - Input change handler (reads e.target.name / e.target.value)
+ */
+const AddressFields = ({ value, onChange }) => {
+  const regions = TAX_REGIONS[value.country]
+  // Addresses saved before the select existed may hold a full name ('California')
+  const region = regions ? normalizeRegion(value.country, value.region) : value.region || ''
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Full Name</label>
+          <input
+            type="text"
+            name="name"
+            value={value.name || ''}
+            onChange={onChange}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Email</label>
+          <input
+            type="email"
+            name="email"
+            value={value.email || ''}
+            onChange={onChange}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-gray-700 font-semibold mb-2">Address</label>
+        <input
+          type="text"
+          name="address"
+          value={value.address || ''}
+          onChange={onChange}
+          required
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">City</label>
+          <input
+            type="text"
+            name="city"
+            value={value.city || ''}
+            onChange={onChange}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Zip Code</label>
+          <input
+            type="text"
+            name="zipCode"
+            value={value.zipCode || ''}
+            onChange={onChange}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </div>
+      </div>
+
+      {/* Region and country decide the sales tax / VAT rate */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">State / Province</label>
+          {regions ? (
+            <select
+              name="region"
+              value={region in regions ? region : ''}
+              onChange={onChange}
+              required
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+            >
+              <option value="">Select state</option>
+              {Object.entries(regions).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              name="region"
+              value={region}
+              onChange={onChange}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+            />
+          )}
+        </div>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Country</label>
+          <select
+            name="country"
+            value={value.country || ''}
+            onChange={onChange}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+          >
+            <option value="">Select country</option>
+            {Object.entries(TAX_COUNTRIES).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AddressFields
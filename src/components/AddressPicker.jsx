@@ -0,0 +1,58 @@
+import { formatAddress } from '../utils/addresses'
+
+/**
+ * AddressPicker Component - Choose a saved address or enter a new one at checkout
+ * 
+ * PARAMETERS:
+ * @param {Array} addresses - Saved addresses from addressService.getAll()
+ * @param {number|string} selectedId - Selected address id, or 'new'
+ * @param {Function} onSelect - Called with the chosen address, or null for "new address"
+ * 
+ * RETURNS:
+ * - Radio list of addresses plus a "Use a new address" option, or null when none are saved
+ */
+const AddressPicker = ({ addresses, selectedId, onSelect }) => {
+  if (addresses.length === 0) return null
+
+  return (
+    <div className="space-y-2">
+      {addresses.map((address) => (
+        <label
+          key={address.id}
+          className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+            selectedId === address.id ? 'border-indigo-600 bg-indigo-50' : 'border-gray-300'
+          }`}
+        >
+          <input
+            type="radio"
+            name="savedAddress"
+            checked={selectedId === address.id}
+            onChange={() => onSelect(address)}
+            className="mt-1 mr-3"
+          />
+          <span>
+            <span className="font-semibold">{address.label || address.name}</span>
+            {address.isDefault && <span className="ml-2 text-xs text-indigo-600 font-semibold">Default</span>}
+            <span className="block text-sm text-gray-600">{formatAddress(address)}</span>
+          </span>
+        </label>
+      ))}
+      <label
+        className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+          selectedId === 'new' ? 'border-indigo-600 bg-indigo-50' : 'border-gray-300'
+        }`}
+      >
+        <input
+          type="radio"
+          name="savedAddress"
+          checked={selectedId === 'new'}
+          onChange={() => onSelect(null)}
+          className="mr-3"
+        />
+        <span className="font-semibold">Use a new address</span>
+      </label>
+    </div>
+  )
+}
+
+export default AddressPicker
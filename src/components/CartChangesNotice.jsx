@@ -0,0 +1,51 @@
+import { useCart } from '../context/CartContext'
+import { CART_CHANGE_TYPES } from '../utils/cart'
+
+/**
+ * describeChange - One line of text for a change found by revalidateCart()
+ * @param {Object} change - { name, variantLabel, type, previousPrice, price, previousQuantity, quantity }
+ * @returns {string} Human readable description
+ */
+const describeChange = (change) => {
+  const name = change.variantLabel ? `${change.name} (${change.variantLabel})` : change.name
+  if (change.type === CART_CHANGE_TYPES.UNAVAILABLE) {
+    return `${name} is no longer available and will be removed.`
+  }
+  if (change.type === CART_CHANGE_TYPES.QUANTITY) {
+    return `Only ${change.quantity} of ${name} left in stock (you had ${change.previousQuantity}).`
+  }
+  return `${name} now costs $${Number(change.price).toFixed(2)} (was $${Number(change.previousPrice).toFixed(2)}).`
+}
+
+/**
+ * CartChangesNotice Component - Lists price and stock changes since items were added
+ * 
+ * WHAT IT DOES:
+ * - Renders nothing when CartContext has no pending cartChanges
+ * - Otherwise lists each change and an "Accept changes" button (acceptCartChanges)
+ * - Cart and Checkout keep their checkout buttons disabled until the changes are accepted
+ */
+const CartChangesNotice = () => {
+  const { cartChanges, acceptCartChanges } = useCart()
+
+  if (cartChanges.length === 0) return null
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold text-yellow-800 mb-2">Some items in your cart have changed</h2>
+      <ul className="list-disc list-inside text-sm text-yellow-800 space-y-1 mb-4">
+        {cartChanges.map((change) => (
+          <li key={change.lineId}>{describeChange(change)}</li>
+        ))}
+      </ul>
+      <button
+        onClick={acceptCartChanges}
+        className="bg-yellow-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-yellow-700 transition"
+      >
+        Accept changes
+      </button>
+    </div>
+  )
+}
+
+export default CartChangesNotice
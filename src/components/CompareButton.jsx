@@ -0,0 +1,52 @@
+import { FaCheck } from 'react-icons/fa'
+import { useCompare, MAX_COMPARE } from '../context/CompareContext'
+import { toast } from 'react-toastify'
+
+/**
+ * CompareButton Component - "Compare" toggle that adds a product to the compare tray
+ *
+ * WHAT IT DOES:
+ * - Toggle button (aria-pressed) drawn with a check box; stops the click so it works
+ *   inside a card's Link
+ * - Refuses a fifth product with a toast (the compare page shows MAX_COMPARE side by side)
+ *
+ * PARAMETERS:
+ * @param {Object} product - Product to compare
+ * @param {string} className - Extra classes for positioning
+ */
+const CompareButton = ({ product, className = '' }) => {
+  const { isInCompare, addToCompare, removeFromCompare } = useCompare()
+  const selected = isInCompare(product.id)
+
+  const handleClick = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (selected) {
+      removeFromCompare(product.id)
+    } else if (!addToCompare(product)) {
+      toast.error(`You can compare up to ${MAX_COMPARE} products`)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={selected}
+      className={`inline-flex items-center px-2 py-1 rounded bg-white shadow text-xs font-semibold text-gray-700 hover:text-indigo-600 transition ${className}`}
+    >
+      {/* Drawn check box only; the button itself carries the pressed state */}
+      <span
+        aria-hidden="true"
+        className={`mr-1 inline-flex h-3.5 w-3.5 items-center justify-center rounded-sm border ${
+          selected ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-400'
+        }`}
+      >
+        {selected && <FaCheck className="h-2 w-2" />}
+      </span>
+      Compare
+    </button>
+  )
+}
+
+export default CompareButton
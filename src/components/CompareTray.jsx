@@ -0,0 +1,62 @@
+import { Link, useLocation } from 'react-router-dom'
+import { FaTimes } from 'react-icons/fa'
+import { useCompare, MAX_COMPARE } from '../context/CompareContext'
+
+/**
+ * CompareTray Component - Floating bar with the products picked for comparison
+ *
+ * WHAT IT DOES:
+ * - Shows thumbnails of the picked products (each removable) and empty slots up to MAX_COMPARE
+ * - "Compare" opens /compare once at least two products are picked
+ * - Hidden when nothing is picked and on the compare page itself
+ */
+const CompareTray = () => {
+  const { compareItems, removeFromCompare, clearCompare } = useCompare()
+  const location = useLocation()
+
+  if (compareItems.length === 0 || location.pathname === '/compare') return null
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 bg-white border-t border-gray-200 shadow-lg z-40 print:hidden">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center gap-4">
+        <div className="flex gap-3 flex-1 overflow-x-auto">
+          {compareItems.map((item) => (
+            <div key={item.id} className="relative flex-shrink-0">
+              <img
+                src={item.imageUrl || 'https://via.placeholder.com/64'}
+                alt={item.name}
+                title={item.name}
+                className="w-14 h-14 object-cover rounded-lg border"
+              />
+              <button
+                type="button"
+                onClick={() => removeFromCompare(item.id)}
+                aria-label={`Remove ${item.name} from compare`}
+                className="absolute -top-2 -right-2 bg-white rounded-full p-1 text-red-600 shadow"
+              >
+                <FaTimes className="text-xs" />
+              </button>
+            </div>
+          ))}
+          {Array.from({ length: MAX_COMPARE - compareItems.length }).map((_, index) => (
+            <div key={`empty-${index}`} className="w-14 h-14 flex-shrink-0 rounded-lg border-2 border-dashed border-gray-300" />
+          ))}
+        </div>
+        <button onClick={clearCompare} className="text-sm text-gray-600 hover:underline">
+          Clear
+        </button>
+        {compareItems.length >= 2 ? (
+          <Link to="/compare" className="bg-indigo-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition">
+            Compare ({compareItems.length})
+          </Link>
+        ) : (
+          <span className="bg-gray-300 text-gray-600 px-4 py-2 rounded-lg font-semibold cursor-not-allowed" title="Pick at least two products">
+            Compare ({compareItems.length})
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CompareTray
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { FaChevronDown, FaChevronRight } from 'react-icons/fa'
+import { toggleFacetValue, countActiveFilters, EMPTY_FILTERS } from '../utils/facets'
+
+/**
+ * FacetCheckbox - One selectable facet value with its result count
+ */
+const FacetCheckbox = ({ label, count, checked, onChange }) => (
+  <label className={`flex items-center justify-between text-sm py-1 cursor-pointer ${count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'}`}>
+    <span className="inline-flex items-center">
+      <input type="checkbox" checked={checked} onChange={onChange} disabled={count === 0 && !checked} className="mr-2" />
+      {label}
+    </span>
+    <span className="text-xs text-gray-500">{count}</span>
+  </label>
+)
+
+/**
+ * CategoryTree - Nested category checkboxes; branches with a selected descendant start open
+ */
+const CategoryTree = ({ nodes, selected, onToggle, depth = 0 }) => (
+  <ul className={depth > 0 ? 'ml-4' : ''}>
+    {nodes.map((node) => (
+      <CategoryNode key={node.value} node={node} selected={selected} onToggle={onToggle} depth={depth} />
+    ))}
+  </ul>
+)
+
+const containsSelected = (node, selected) =>
+  selected.includes(String(node.value)) || (node.children || []).some((child) => containsSelected(child, selected))
+
+const CategoryNode = ({ node, selected, onToggle, depth }) => {
+  const hasChildren = node.children?.length > 0
+  const [open, setOpen] = useState(() => hasChildren && (node.children || []).some((child) => containsSelected(child, selected)))
+
+  return (
+    <li>
+      <div className="flex items-center">
+        {hasChildren ? (
+          <button
+            type="button"
+            onClick={() => setOpen(!open)}
+            aria-label={open ? 'Collapse' : 'Expand'}
+            className="text-gray-500 w-4 mr-1"
+          >
+            {open ? <FaChevronDown className="text-xs" /> : <FaChevronRight className="text-xs" />}
+          </button>
+        ) : (
+          <span className="w-4 mr-1"></span>
+        )}
+        <div className="flex-1">
+          <FacetCheckbox
+            label={node.label || node.value}
+            count={node.count}
+            checked={selected.includes(String(node.value))}
+            onChange={() => onToggle(node.value)}
+          />
+        </div>
+      </div>
+      {hasChildren && open && <CategoryTree nodes={node.children} selected={selected} onToggle={onToggle} depth={depth + 1} />}
+    </li>
+  )
+}
+
+/**
+ * FacetSidebar Component - Catalog filters built from productService.getFacets
+ *
+ * WHAT IT DOES:
+ * - Category tree, price range buckets, sellers, minimum rating and an in-stock switch
+ * - Every value shows how many products it would return; values with no results are disabled
+ * - All list facets are multi-select; "Clear all" resets every facet
+ *
+ * PARAMETERS:
+ * @param {Object} facets - Response of getFacets (sections missing from it are not shown)
+ * @param {Object} filters - Current filter state (utils/facets EMPTY_FILTERS shape)
+ * @param {Function} onChange - Called with the new filter state
+ * @param {Array} hide - Facet keys not to show (e.g. ['sellerId'] on the seller's own dashboard)
+ */
+const FacetSidebar = ({ facets, filters, onChange, hide = [] }) => {
+  const toggle = (key) => (value) => onChange(toggleFacetValue(filters, key, value))
+  const show = (key, list) => !hide.includes(key) && list?.length > 0
+
+  const listSection = (title, key, list) =>
+    show(key, list) && (
+      <div>
+        <h3 className="font-semibold text-gray-800 mb-2">{title}</h3>
+        {list.map((item) => (
+          <FacetCheckbox
+            key={item.value}
+            label={item.label || item.value}
+            count={item.count}
+            checked={filters[key].includes(String(item.value))}
+            onChange={() => toggle(key)(item.value)}
+          />
+        ))}
+      </div>
+    )
+
+  return (
+    <aside className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-bold text-gray-800">Filters</h2>
+        {countActiveFilters(filters) > 0 && (
+          <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="text-sm text-indigo-600 hover:underline">
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {!hide.includes('inStock') && facets?.inStock && (
+        <label className="flex items-center justify-between text-sm cursor-pointer">
+          <span className="inline-flex items-center font-semibold text-gray-800">
+            <input
+              type="checkbox"
+              checked={filters.inStock}
+              onChange={(e) => onChange({ ...filters, inStock: e.target.checked })}
+              className="mr-2"
+            />
+            In stock only
+          </span>
+          <span className="text-xs text-gray-500">{facets.inStock.count}</span>
+        </label>
+      )}
+
+      {show('category', facets?.categories) && (
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">Category</h3>
+          <CategoryTree nodes={facets.categories} selected={filters.category} onToggle={toggle('category')} />
+        </div>
+      )}
+      {listSection('Price', 'priceRange', facets?.priceRanges)}
+      {listSection('Seller', 'sellerId', facets?.sellers)}
+      {listSection('Rating', 'rating', facets?.ratings)}
+    </aside>
+  )
+}
+
+export default FacetSidebar
@@ -0,0 +1,87 @@
+import { Link } from 'react-router-dom'
+import ProductCard from './ProductCard'
+import { isSafeUrl, toCssUrl } from '../utils/merchandising'
+
+/**
+ * SectionLink - CTA button; in-app paths use the router, anything else is a normal link
+ * Only called with URLs that passed isSafeUrl (http(s) or an in-app path)
+ */
+const SectionLink = ({ href, className, children }) =>
+  href.startsWith('/') ? (
+    <Link to={href} className={className}>
+      {children}
+    </Link>
+  ) : (
+    <a href={href} className={className}>
+      {children}
+    </a>
+  )
+
+/**
+ * HomeSection Component - One merchandising section of the home page
+ *
+ * WHAT IT DOES:
+ * - HERO: full-width banner with the section image, title, subtitle and an optional button
+ * - COLLECTION / BEST_SELLERS / NEW_ARRIVALS / ON_SALE: titled product grid, using the
+ *   products the backend resolved for the section (sections without products are skipped)
+ * - Unknown types render nothing, so the backend can add types before the frontend knows them
+ * - Image and button URLs other than http(s) or in-app paths are ignored (utils/merchandising isSafeUrl)
+ *
+ * PARAMETERS:
+ * @param {Object} section - Section from merchandisingService.getHomeLayout
+ */
+const HomeSection = ({ section }) => {
+  const imageUrl = isSafeUrl(section.imageUrl) ? section.imageUrl.trim() : null
+  const ctaUrl = section.ctaLabel && isSafeUrl(section.ctaUrl) ? section.ctaUrl.trim() : null
+
+  if (section.type === 'HERO') {
+    return (
+      <section
+        className="relative bg-gradient-to-r from-indigo-600 to-purple-600 bg-cover bg-center text-white py-20"
+        style={imageUrl ? { backgroundImage: toCssUrl(imageUrl) } : undefined}
+      >
+        {/* Darkens the image so the text stays readable */}
+        {imageUrl && <div className="absolute inset-0 bg-black/40"></div>}
+        <div className="relative max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-5xl font-bold mb-4">{section.title}</h1>
+          {section.subtitle && <p className="text-xl mb-8">{section.subtitle}</p>}
+          {ctaUrl && (
+            <SectionLink
+              href={ctaUrl}
+              className="inline-block bg-white text-indigo-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition"
+            >
+              {section.ctaLabel}
+            </SectionLink>
+          )}
+        </div>
+      </section>
+    )
+  }
+
+  if (!['COLLECTION', 'BEST_SELLERS', 'NEW_ARRIVALS', 'ON_SALE'].includes(section.type) || !section.products?.length) {
+    return null
+  }
+
+  return (
+    <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-end mb-8">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-800">{section.title}</h2>
+          {section.subtitle && <p className="text-gray-600 mt-1">{section.subtitle}</p>}
+        </div>
+        {ctaUrl && (
+          <SectionLink href={ctaUrl} className="text-indigo-600 font-semibold hover:underline">
+            {section.ctaLabel}
+          </SectionLink>
+        )}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+        {section.products.map((product) => (
+          <ProductCard key={product.id} product={product} />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default HomeSection
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { FaArrowLeft, FaArrowRight, FaTimes } from 'react-icons/fa'
+import { uploadService } from '../services/api'
+import { validateImageFile } from '../utils/images'
+import { toast } from 'react-toastify'
+
+/**
+ * ImageManager Component - Upload, add and reorder a product's images
+ *
+ * WHAT IT DOES:
+ * - Shows the images as thumbnails; the first one is the main image
+ * - Reorders by drag and drop, or with the arrow buttons
+ * - Adds images by URL or by uploading several files at once (uploadService.uploadImage)
+ * - Removes images
+ *
+ * PARAMETERS:
+ * @param {Array} images - Ordered image URLs
+ * @param {Function} onChange - Called with the new list of URLs
+ */
+const ImageManager = ({ images = [], onChange }) => {
+  const [urlInput, setUrlInput] = useState('')
+  const [uploading, setUploading] = useState(false)
+  // Index of the thumbnail being dragged
+  const [dragIndex, setDragIndex] = useState(null)
+
+  const moveImage = (from, to) => {
+    if (to < 0 || to >= images.length || from === to) return
+    const next = [...images]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    onChange(next)
+  }
+
+  const handleAddUrl = () => {
+    const url = urlInput.trim()
+    if (!url) return
+    if (!images.includes(url)) onChange([...images, url])
+    setUrlInput('')
+  }
+
+  /**
+   * Uploads the selected files one by one; invalid or failed files are skipped with a toast
+   * @param e - File input change event
+   */
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+    setUploading(true)
+    const uploaded = []
+    for (const file of files) {
+      const validationError = validateImageFile(file)
+      if (validationError) {
+        toast.error(`${file.name}: ${validationError}`)
+        continue
+      }
+      try {
+        const response = await uploadService.uploadImage(file)
+        // backend returns { url } or { error }
+        if (response.data?.error || !response.data?.url) {
+          toast.error(`${file.name}: upload failed ${response.data?.error || ''}`)
+          continue
+        }
+        uploaded.push(response.data.url)
+      } catch (error) {
+        toast.error(`${file.name}: upload failed - ` + (error.response?.data?.error || error.message))
+      }
+    }
+    if (uploaded.length > 0) onChange([...images, ...uploaded])
+    setUploading(false)
+  }
+
+  return (
+    <div className="space-y-3">
+      {images.length === 0 ? (
+        <p className="text-sm text-gray-500">No images yet</p>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {images.map((url, index) => (
+            <div
+              key={url}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => {
+                moveImage(dragIndex, index)
+                setDragIndex(null)
+              }}
+              className={`relative w-24 border-2 rounded-lg overflow-hidden bg-white cursor-move ${
+                index === 0 ? 'border-indigo-600' : 'border-gray-200'
+              } ${dragIndex === index ? 'opacity-50' : ''}`}
+            >
+              <img src={url} alt={`Product image ${index + 1}`} className="w-full h-24 object-cover" />
+              {index === 0 && (
+                <span className="absolute top-1 left-1 text-[10px] bg-indigo-600 text-white px-1 rounded">Main</span>
+              )}
+              <button
+                type="button"
+                onClick={() => onChange(images.filter((_, i) => i !== index))}
+                aria-label="Remove image"
+                className="absolute top-1 right-1 bg-white rounded-full p-1 text-red-600 shadow"
+              >
+                <FaTimes className="text-xs" />
+              </button>
+              <div className="flex justify-between p-1">
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index - 1)}
+                  disabled={index === 0}
+                  aria-label="Move left"
+                  className="text-gray-600 disabled:opacity-30"
+                >
+                  <FaArrowLeft className="text-xs" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index + 1)}
+                  disabled={index === images.length - 1}
+                  aria-label="Move right"
+                  className="text-gray-600 disabled:opacity-30"
+                >
+                  <FaArrowRight className="text-xs" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="url"
+          placeholder="https://..."
+          value={urlInput}
+          onChange={(e) => setUrlInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              handleAddUrl()
+            }
+          }}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+        />
+        <button type="button" onClick={handleAddUrl} className="bg-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300 transition">
+          Add URL
+        </button>
+      </div>
+      <div>
+        <input
+          type="file"
+          multiple
+          accept=".jpg,.jpeg,.png,.gif,.webp,.bmp,.tiff"
+          onChange={handleFiles}
+          disabled={uploading}
+          className="w-full"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          {uploading ? 'Uploading...' : 'Supported: JPG, PNG, GIF, WebP, BMP, TIFF (Max 5MB each). Drag to reorder; the first image is the main one.'}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ImageManager
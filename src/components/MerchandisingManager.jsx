@@ -0,0 +1,407 @@
+import { useEffect, useState } from 'react'
+import { FaArrowUp, FaArrowDown } from 'react-icons/fa'
+import { merchandisingService, uploadService } from '../services/api'
+import { validateImageFile } from '../utils/images'
+import {
+  SECTION_TYPES,
+  EMPTY_SECTION,
+  getSectionTypeLabel,
+  getScheduleStatus,
+  toDateTimeInput,
+  fromDateTimeInput,
+  validateSection,
+} from '../utils/merchandising'
+import { toast } from 'react-toastify'
+
+const STATUS_STYLES = {
+  live: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  ended: 'bg-gray-200 text-gray-700',
+  disabled: 'bg-gray-200 text-gray-700',
+}
+
+const inputClass =
+  'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600'
+
+/**
+ * MerchandisingManager Component - Admin editor for the home page sections
+ *
+ * WHAT IT DOES:
+ * - Lists every section in home page order with its schedule status (live, scheduled, ended, disabled)
+ * - Creates and edits sections: hero banners, featured collections (hand-picked product IDs),
+ *   best sellers, new arrivals and on-sale items, each with an optional start/end date
+ * - Reorders sections with the arrow buttons (saved right away), enables/disables and deletes them
+ *
+ * FLOW:
+ * 1. Mount → merchandisingService.getSections()
+ * 2. Save → createSection / updateSection, then the list reloads
+ * 3. Arrows → reorderSections(ids); the old order comes back if saving fails
+ */
+const MerchandisingManager = () => {
+  const [sections, setSections] = useState([])
+  const [loading, setLoading] = useState(true)
+  // Section being edited (null = form closed); id is missing for a new section
+  const [form, setForm] = useState(null)
+  // Collection product IDs as typed, parsed on save
+  const [productIdsInput, setProductIdsInput] = useState('')
+  const [uploading, setUploading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const fetchSections = async () => {
+    try {
+      const response = await merchandisingService.getSections()
+      const list = Array.isArray(response.data) ? response.data : response.data?.sections || []
+      setSections([...list].sort((a, b) => (a.position ?? 0) - (b.position ?? 0)))
+    } catch (error) {
+      console.error('Error fetching home sections:', error)
+      toast.error('Failed to load home page sections')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchSections()
+  }, [])
+
+  const openForm = (section = EMPTY_SECTION) => {
+    setForm({ ...EMPTY_SECTION, ...section })
+    setProductIdsInput((section.productIds || []).join(', '))
+  }
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const validationError = validateImageFile(file)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+    setUploading(true)
+    try {
+      const response = await uploadService.uploadImage(file)
+      if (response.data?.error || !response.data?.url) {
+        toast.error('Upload failed: ' + (response.data?.error || 'No URL returned'))
+        return
+      }
+      setForm((prev) => ({ ...prev, imageUrl: response.data.url }))
+    } catch (error) {
+      toast.error('Upload failed: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const section = {
+      ...form,
+      // Product sections without a title use the type name ("Best sellers")
+      title: (form.title || '').trim() || (form.type === 'HERO' ? '' : getSectionTypeLabel(form.type)),
+      productIds:
+        form.type === 'COLLECTION'
+          ? productIdsInput
+              .split(',')
+              .map((value) => value.trim())
+              .filter(Boolean)
+          : [],
+      limit: Number(form.limit) || null,
+    }
+    const validationError = validateSection(section)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+    setSaving(true)
+    try {
+      if (section.id) {
+        await merchandisingService.updateSection(section.id, section)
+        toast.success('Section updated!')
+      } else {
+        await merchandisingService.createSection(section)
+        toast.success('Section created!')
+      }
+      setForm(null)
+      fetchSections()
+    } catch (error) {
+      toast.error('Failed to save section: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleEnabled = async (section) => {
+    try {
+      await merchandisingService.updateSection(section.id, { ...section, enabled: !section.enabled })
+      setSections(sections.map((s) => (s.id === section.id ? { ...s, enabled: !s.enabled } : s)))
+    } catch (error) {
+      toast.error('Failed to update section: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const handleDelete = async (section) => {
+    if (!window.confirm(`Delete the "${section.title || getSectionTypeLabel(section.type)}" section?`)) return
+    try {
+      await merchandisingService.deleteSection(section.id)
+      setSections(sections.filter((s) => s.id !== section.id))
+      toast.success('Section deleted!')
+    } catch (error) {
+      toast.error('Failed to delete section: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const moveSection = async (from, to) => {
+    if (to < 0 || to >= sections.length) return
+    const previous = sections
+    const next = [...sections]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    setSections(next)
+    try {
+      await merchandisingService.reorderSections(next.map((section) => section.id))
+    } catch (error) {
+      setSections(previous)
+      toast.error('Failed to save order: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const isProductSection = form && form.type !== 'HERO'
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Home Page Sections</h2>
+        <button
+          onClick={() => (form ? setForm(null) : openForm())}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+        >
+          {form ? 'Cancel' : 'Add Section'}
+        </button>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Type</label>
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={inputClass}>
+                {SECTION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Title</label>
+              <input
+                type="text"
+                value={form.title || ''}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                placeholder={isProductSection ? getSectionTypeLabel(form.type) : ''}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 font-semibold mb-2">Subtitle (optional)</label>
+              <input
+                type="text"
+                value={form.subtitle || ''}
+                onChange={(e) => setForm({ ...form, subtitle: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            {form.type === 'HERO' && (
+              <div className="md:col-span-2">
+                <label className="block text-gray-700 font-semibold mb-2">Banner image</label>
+                {form.imageUrl && <img src={form.imageUrl} alt="" className="w-full h-40 object-cover rounded-lg mb-2" />}
+                <div className="flex flex-col md:flex-row gap-2">
+                  <input
+                    type="url"
+                    value={form.imageUrl || ''}
+                    onChange={(e) => setForm({ ...form, imageUrl: e.target.value })}
+                    placeholder="Image URL"
+                    className={inputClass}
+                  />
+                  <input
+                    type="file"
+                    accept=".jpg,.jpeg,.png,.gif,.webp,.bmp,.tiff"
+                    onChange={handleImageUpload}
+                    disabled={uploading}
+                  />
+                </div>
+                {uploading && <p className="text-xs text-gray-500 mt-1">Uploading...</p>}
+              </div>
+            )}
+
+            {form.type === 'COLLECTION' && (
+              <div className="md:col-span-2">
+                <label className="block text-gray-700 font-semibold mb-2">Product IDs (in display order)</label>
+                <input
+                  type="text"
+                  value={productIdsInput}
+                  onChange={(e) => setProductIdsInput(e.target.value)}
+                  placeholder="e.g. 12, 7, 31"
+                  className={inputClass}
+                />
+              </div>
+            )}
+            {isProductSection && form.type !== 'COLLECTION' && (
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Products shown</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="24"
+                  value={form.limit ?? ''}
+                  onChange={(e) => setForm({ ...form, limit: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Button label (optional)</label>
+              <input
+                type="text"
+                value={form.ctaLabel || ''}
+                onChange={(e) => setForm({ ...form, ctaLabel: e.target.value })}
+                placeholder="e.g. Shop the sale"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Button link</label>
+              <input
+                type="text"
+                value={form.ctaUrl || ''}
+                onChange={(e) => setForm({ ...form, ctaUrl: e.target.value })}
+                placeholder="e.g. /products?category=shoes"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Starts (optional)</label>
+              <input
+                type="datetime-local"
+                value={toDateTimeInput(form.startsAt)}
+                onChange={(e) => setForm({ ...form, startsAt: fromDateTimeInput(e.target.value) })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Ends (optional)</label>
+              <input
+                type="datetime-local"
+                value={toDateTimeInput(form.endsAt)}
+                onChange={(e) => setForm({ ...form, endsAt: fromDateTimeInput(e.target.value) })}
+                className={inputClass}
+              />
+            </div>
+            <label className="inline-flex items-center text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                className="mr-2"
+              />
+              Enabled
+            </label>
+          </div>
+          <button
+            type="submit"
+            disabled={saving || uploading}
+            className="mt-4 bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            {form.id ? 'Save Section' : 'Create Section'}
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : sections.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No sections yet. The home page shows the default layout.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-4">Order</th>
+                <th className="text-left p-4">Section</th>
+                <th className="text-left p-4">Schedule</th>
+                <th className="text-left p-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sections.map((section, index) => {
+                const status = getScheduleStatus(section)
+                return (
+                  <tr key={section.id} className="border-b hover:bg-gray-50">
+                    <td className="p-4">
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => moveSection(index, index - 1)}
+                          disabled={index === 0}
+                          aria-label="Move up"
+                          className="p-2 rounded border hover:bg-gray-100 disabled:opacity-30"
+                        >
+                          <FaArrowUp className="text-xs" />
+                        </button>
+                        <button
+                          onClick={() => moveSection(index, index + 1)}
+                          disabled={index === sections.length - 1}
+                          aria-label="Move down"
+                          className="p-2 rounded border hover:bg-gray-100 disabled:opacity-30"
+                        >
+                          <FaArrowDown className="text-xs" />
+                        </button>
+                      </div>
+                    </td>
+                    <td className="p-4">
+                      <p className="font-semibold text-gray-800">{section.title || getSectionTypeLabel(section.type)}</p>
+                      <p className="text-sm text-gray-500">{getSectionTypeLabel(section.type)}</p>
+                    </td>
+                    <td className="p-4">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {section.startsAt ? new Date(section.startsAt).toLocaleString() : 'Now'} →{' '}
+                        {section.endsAt ? new Date(section.endsAt).toLocaleString() : 'No end'}
+                      </p>
+                    </td>
+                    <td className="p-4 space-x-2 whitespace-nowrap">
+                      <button
+                        onClick={() => openForm(section)}
+                        className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition text-sm"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleEnabled(section)}
+                        className="bg-gray-300 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-400 transition text-sm"
+                      >
+                        {section.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(section)}
+                        className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition text-sm"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MerchandisingManager
@@ -1,6 +1,9 @@
 import { Link, useNavigate } from 'react-router-dom'
-import { FaShoppingCart, FaUser } from 'react-icons/fa'
+import { FaShoppingCart, FaUser, FaHeart } from 'react-icons/fa'
 import { useCart } from '../context/CartContext'
+import { useWishlist } from '../context/WishlistContext'
+import { useAuth } from '../context/AuthContext'
+import SearchBar from './SearchBar'
 
 /**
  * Navbar Component - Top navigation bar for the application
@@ -8,7 +11,8 @@ import { useCart } from '../context/CartContext'
  * WHAT IT DOES:
  * - Displays the application logo/brand name
  * - Provides navigation links (Home, Products)
- * - Shows shopping cart icon with item count badge
+ * - Global product search with suggestions (SearchBar)
+ * - Shows wishlist and shopping cart icons with count badges
  * - Shows user icon for login/account access
  * - Stays fixed at the top when scrolling
  * 
@@ -25,24 +29,22 @@ const Navbar = () => {
   // Get function to count total items in cart from CartContext
   // Returns: number representing total quantity of all items in cart
   const { getCartItemsCount } = useCart()
+  const { getWishlistCount } = useWishlist()
 
-  // Get current user from localStorage to check role
-  // Returns: user object with role property, or null if not logged in
-  const user = JSON.parse(localStorage.getItem('user') || 'null')
-  const userRole = user?.role
+  // Get current user and role from AuthContext
+  // user is null if not logged in; re-renders as soon as login/logout happens
+  const { user, role: userRole, logout } = useAuth()
 
   const navigate = useNavigate()
 
   const handleLogout = () => {
-    localStorage.removeItem('user')
-    localStorage.removeItem('token')
-    // notify app about auth change so CartContext can reload
-    window.dispatchEvent(new Event('authChanged'))
+    // CartContext switches to the guest cart when the user changes
+    logout()
     navigate('/login')
   }
 
   return (
-    <nav className="bg-white shadow-lg sticky top-0 z-50">
+    <nav className="bg-white shadow-lg sticky top-0 z-50 print:hidden">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
           <Link to="/" className="flex items-center">
@@ -70,7 +72,25 @@ const Navbar = () => {
             )}
           </div>
 
+          <div className="flex-1 max-w-md mx-4">
+            <SearchBar />
+          </div>
+
           <div className="flex items-center space-x-4">
+            {/* Wishlist icon, shown to the same users as the cart */}
+            {(userRole !== 'ADMIN') && (
+              <Link
+                to="/wishlist"
+                className="relative p-2 text-gray-700 hover:text-indigo-600 transition"
+              >
+                <FaHeart className="text-xl" />
+                {getWishlistCount() > 0 && (
+                  <span className="absolute top-0 right-0 bg-red-500 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
+                    {getWishlistCount()}
+                  </span>
+                )}
+              </Link>
+            )}
             {/* Show cart icon for all users except ADMIN (sellers can also use the cart) */}
             {(userRole !== 'ADMIN') && (
               <Link
@@ -89,6 +109,12 @@ const Navbar = () => {
             {user ? (
               <div className="flex items-center space-x-3">
                 <span className="text-sm text-gray-700">{user.name}</span>
+                {/* Order history for customers and sellers (admins don't shop) */}
+                {userRole !== 'ADMIN' && (
+                  <Link to="/account/orders" className="text-sm text-gray-700 hover:text-indigo-600 transition">
+                    My Orders
+                  </Link>
+                )}
                 <button
                   onClick={handleLogout}
                   className="text-sm bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition"
@@ -0,0 +1,35 @@
+import { Link } from 'react-router-dom'
+
+/**
+ * OrderLineItems Component - Products of an order with quantity and line total
+ * 
+ * PARAMETERS:
+ * @param {Array} items - Normalized items from getOrderItems()
+ */
+const OrderLineItems = ({ items }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden">
+      {items.map((item, index) => (
+        <div key={item.id ?? index} className="flex items-center space-x-4 p-4 border-b border-gray-200 last:border-b-0">
+          <img
+            src={item.imageUrl || 'https://via.placeholder.com/100'}
+            alt={item.name}
+            className="w-16 h-16 object-cover rounded-lg print:hidden"
+          />
+          <div className="flex-1">
+            <Link to={`/product/${item.productId}`} className="font-semibold text-gray-800 hover:text-indigo-600">
+              {item.name}
+            </Link>
+            {item.variantLabel && <p className="text-sm text-gray-600">{item.variantLabel}</p>}
+            <p className="text-sm text-gray-600">
+              ${item.price.toFixed(2)} × {item.quantity}
+            </p>
+          </div>
+          <span className="font-semibold">${(item.price * item.quantity).toFixed(2)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default OrderLineItems
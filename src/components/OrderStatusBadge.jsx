@@ -0,0 +1,18 @@
+import { getStatusMeta } from '../utils/orders'
+
+/**
+ * OrderStatusBadge Component - Colored pill showing an order status
+ * 
+ * PARAMETERS:
+ * @param {string} status - Order status (PENDING, SHIPPED, ...)
+ */
+const OrderStatusBadge = ({ status }) => {
+  const { label, className } = getStatusMeta(status)
+  return (
+    <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${className}`}>
+      {label}
+    </span>
+  )
+}
+
+export default OrderStatusBadge
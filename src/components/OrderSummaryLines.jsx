@@ -0,0 +1,59 @@
+/**
+ * OrderSummaryLines Component - Subtotal, shipping, discount, tax and total rows of an order summary
+ * 
+ * PARAMETERS:
+ * @param {Object} summary - Result of calculateOrderSummary()
+ * @param {boolean} estimate - Marks shipping as an estimate (destination not known yet)
+ */
+const OrderSummaryLines = ({ summary, estimate = false }) => {
+  const { subtotal, shipping, discounts, tax, total } = summary
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between">
+        <span className="text-gray-600">Subtotal</span>
+        <span className="font-semibold">${subtotal.toFixed(2)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-600">
+          Shipping ({shipping.method.label}{estimate ? ', estimated' : ''})
+        </span>
+        <span className="font-semibold">{shipping.isFree ? 'Free' : `$${shipping.cost.toFixed(2)}`}</span>
+      </div>
+      {shipping.amountToFree > 0 && (
+        <p className="text-xs text-green-700">
+          Add ${shipping.amountToFree.toFixed(2)} more for free {shipping.method.label.toLowerCase()} shipping
+        </p>
+      )}
+      {/* One line per discount (percentage, fixed amount, free shipping) */}
+      {discounts.map((discount) => (
+        <div key={discount.type} className="flex justify-between text-green-700">
+          <span>{discount.label}</span>
+          <span className="font-semibold">-${discount.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      {/* Added tax has its own line; tax already inside prices is shown as "incl." */}
+      {tax === null ? (
+        <div className="flex justify-between">
+          <span className="text-gray-600">Tax</span>
+          <span className="text-sm text-gray-500">Calculated at checkout</span>
+        </div>
+      ) : (
+        tax.lines.map((line) => (
+          <div key={`${line.rate}-${line.inclusive}`} className="flex justify-between">
+            <span className="text-gray-600">{line.inclusive ? `Incl. ${line.label}` : line.label}</span>
+            <span className={line.inclusive ? 'text-gray-500' : 'font-semibold'}>${line.amount.toFixed(2)}</span>
+          </div>
+        ))
+      )}
+      <div className="border-t pt-2 mt-2">
+        <div className="flex justify-between">
+          <span className="text-xl font-bold">Total</span>
+          <span className="text-xl font-bold text-indigo-600">${total.toFixed(2)}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrderSummaryLines
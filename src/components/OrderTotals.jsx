@@ -0,0 +1,45 @@
+import { getOrderTotals } from '../utils/orders'
+import { getShippingMethod } from '../pricing/shipping'
+
+/**
+ * OrderTotals Component - Subtotal, shipping, discounts, tax and total of a placed order
+ * 
+ * PARAMETERS:
+ * @param {Object} order - Order from the backend
+ */
+const OrderTotals = ({ order }) => {
+  const { subtotal, shipping, discounts, taxLines, total } = getOrderTotals(order)
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-2">
+      <div className="flex justify-between">
+        <span className="text-gray-600">Subtotal</span>
+        <span className="font-semibold">${subtotal.toFixed(2)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-600">
+          Shipping{order.shippingMethod ? ` (${getShippingMethod(order.shippingMethod).label})` : ''}
+        </span>
+        <span className="font-semibold">${shipping.toFixed(2)}</span>
+      </div>
+      {discounts.map((discount) => (
+        <div key={discount.type} className="flex justify-between text-green-700">
+          <span>{discount.label}</span>
+          <span className="font-semibold">-${discount.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      {taxLines.map((line) => (
+        <div key={`${line.rate}-${line.inclusive}`} className="flex justify-between">
+          <span className="text-gray-600">{line.inclusive ? `Incl. ${line.label}` : line.label}</span>
+          <span className={line.inclusive ? 'text-gray-500' : 'font-semibold'}>${line.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between text-xl font-bold pt-2 border-t">
+        <span>Total</span>
+        <span className="text-indigo-600">${total.toFixed(2)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default OrderTotals
@@ -0,0 +1,69 @@
+/**
+ * Pagination Component - Numbered page controls for paged lists
+ * 
+ * WHAT IT DOES:
+ * - Shows Previous/Next buttons and page numbers (with … gaps for long ranges)
+ * - Pages are zero-based internally, shown one-based to the user
+ * 
+ * PARAMETERS:
+ * @param {number} page - Current zero-based page
+ * @param {number} totalPages - Total number of pages
+ * @param {Function} onPageChange - Called with the new zero-based page
+ * 
+ * RETURNS:
+ * - Navigation bar, or null when there is only one page
+ */
+const Pagination = ({ page, totalPages, onPageChange }) => {
+  if (totalPages <= 1) return null
+
+  // Always show first, last, and the pages around the current one
+  const pages = []
+  for (let i = 0; i < totalPages; i++) {
+    if (i === 0 || i === totalPages - 1 || Math.abs(i - page) <= 1) {
+      pages.push(i)
+    } else if (pages[pages.length - 1] !== '…') {
+      pages.push('…')
+    }
+  }
+
+  const buttonClass = 'px-3 py-2 rounded-lg border text-sm transition disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <nav className="flex items-center justify-center gap-2 mt-8" aria-label="Pagination">
+      <button
+        onClick={() => onPageChange(page - 1)}
+        disabled={page === 0}
+        className={`${buttonClass} hover:bg-gray-100`}
+      >
+        Previous
+      </button>
+      {pages.map((p, index) =>
+        p === '…' ? (
+          <span key={`gap-${index}`} className="px-2 text-gray-500">…</span>
+        ) : (
+          <button
+            key={p}
+            onClick={() => onPageChange(p)}
+            aria-current={p === page ? 'page' : undefined}
+            className={
+              p === page
+                ? `${buttonClass} bg-indigo-600 text-white border-indigo-600`
+                : `${buttonClass} hover:bg-gray-100`
+            }
+          >
+            {p + 1}
+          </button>
+        )
+      )}
+      <button
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages - 1}
+        className={`${buttonClass} hover:bg-gray-100`}
+      >
+        Next
+      </button>
+    </nav>
+  )
+}
+
+export default Pagination
@@ -0,0 +1,55 @@
+import { getPaymentProviders } from '../payments'
+
+/**
+ * PaymentMethodSelector Component - Radio list of payment providers
+ * 
+ * WHAT IT DOES:
+ * - Lists every provider from the payments registry with its description
+ * - Shows a provider's extra options (e.g. the mock's simulated outcome) when it is selected
+ * - Never renders card inputs; card details are entered in the gateway's own window
+ * 
+ * PARAMETERS:
+ * @param {string} value - Selected provider id
+ * @param {Function} onChange - Called with the new provider id
+ * @param {Object} details - Provider-specific details ({ outcome })
+ * @param {Function} onDetailsChange - Called with new details
+ */
+const PaymentMethodSelector = ({ value, onChange, details, onDetailsChange }) => {
+  return (
+    <div className="space-y-2">
+      {getPaymentProviders().map((provider) => (
+        <div
+          key={provider.id}
+          className={`p-4 border rounded-lg ${value === provider.id ? 'border-indigo-600 bg-indigo-50' : 'border-gray-300'}`}
+        >
+          <label className="flex items-start cursor-pointer">
+            <input
+              type="radio"
+              name="paymentMethod"
+              checked={value === provider.id}
+              onChange={() => onChange(provider.id)}
+              className="mt-1 mr-3"
+            />
+            <span>
+              <span className="font-semibold">{provider.label}</span>
+              <span className="block text-sm text-gray-600">{provider.description}</span>
+            </span>
+          </label>
+          {value === provider.id && provider.options && (
+            <select
+              value={details.outcome || provider.options[0].value}
+              onChange={(e) => onDetailsChange({ ...details, outcome: e.target.value })}
+              className="mt-3 ml-7 px-3 py-2 border rounded"
+            >
+              {provider.options.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default PaymentMethodSelector
@@ -1,13 +1,19 @@
 import { Link } from 'react-router-dom'
 import { useCart } from '../context/CartContext'
 import { toast } from 'react-toastify'
+import WishlistButton from './WishlistButton'
+import CompareButton from './CompareButton'
+import { hasVariants } from '../utils/variants'
+import { getProductImages } from '../utils/images'
+import StarRating from './StarRating'
 
 /**
  * ProductCard Component - Displays a single product in a card format
  * 
  * WHAT IT DOES:
- * - Shows product image, name, description, and price
- * - Provides "Add to Cart" button
+ * - Shows product image (second image on hover, when there is one), name, description, and price
+ * - Shows the average star rating and review count when the product has reviews
+ * - Provides "Add to Cart" button, a wishlist heart toggle and a "Compare" toggle
  * - Links to product detail page when clicked
  * - Handles adding product to cart
  * 
@@ -31,6 +37,7 @@ const ProductCard = ({ product }) => {
   // Get addToCart function from CartContext
   // This function adds the product to the shopping cart
   const { addToCart } = useCart()
+  const [mainImage, hoverImage] = getProductImages(product)
 
   /**
    * handleAddToCart - Handles adding product to cart when button is clicked
@@ -58,8 +65,11 @@ const ProductCard = ({ product }) => {
     // Prevent the Link's default navigation behavior
     // Without this, clicking button would navigate to product detail page
     e.preventDefault()
-    // Add product to cart (updates CartContext state)
-    addToCart(product)
+    // Add product to cart (updates CartContext state); nothing is added past the stock
+    if (addToCart(product) === 0) {
+      toast.error('No more of this product in stock')
+      return
+    }
     // Show success notification to user
     toast.success('Product added to cart!')
   }
@@ -69,10 +79,21 @@ const ProductCard = ({ product }) => {
       <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-xl transition-shadow duration-300">
         <div className="relative h-64 overflow-hidden">
           <img
-            src={product.imageUrl || 'https://via.placeholder.com/300'}
+            src={mainImage || 'https://via.placeholder.com/300'}
             alt={product.name}
             className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
           />
+          {/* Second image fades in over the first on hover */}
+          {hoverImage && (
+            <img
+              src={hoverImage}
+              alt=""
+              loading="lazy"
+              className="absolute inset-0 w-full h-full object-cover opacity-0 group-hover:opacity-100 transition-opacity duration-300"
+            />
+          )}
+          <WishlistButton product={product} className="absolute top-3 right-3" />
+          <CompareButton product={product} className="absolute top-3 left-3" />
         </div>
         <div className="p-4">
           <h3 className="text-lg font-semibold text-gray-800 mb-2 line-clamp-2">
@@ -81,16 +102,30 @@ const ProductCard = ({ product }) => {
           <p className="text-gray-600 text-sm mb-3 line-clamp-2">
             {product.description}
           </p>
+          {product.reviewCount > 0 && (
+            <p className="flex items-center gap-1 text-sm text-gray-600 mb-3">
+              <StarRating rating={Number(product.averageRating || 0)} />
+              <span>({product.reviewCount})</span>
+            </p>
+          )}
           <div className="flex items-center justify-between">
             <span className="text-2xl font-bold text-indigo-600">
               ${product.price}
             </span>
-            <button
-              onClick={handleAddToCart}
-              className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
-            >
-              Add to Cart
-            </button>
+            {/* Products with options are added from the detail page, where a variant is chosen */}
+            {hasVariants(product) ? (
+              <span className="bg-indigo-600 text-white px-4 py-2 rounded-lg group-hover:bg-indigo-700 transition-colors">
+                Choose Options
+              </span>
+            ) : (
+              <button
+                onClick={handleAddToCart}
+                disabled={product.stockQuantity === 0}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {product.stockQuantity === 0 ? 'Out of Stock' : 'Add to Cart'}
+              </button>
+            )}
           </div>
         </div>
       </div>
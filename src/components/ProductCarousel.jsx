@@ -0,0 +1,61 @@
+import { useRef } from 'react'
+import { FaChevronLeft, FaChevronRight } from 'react-icons/fa'
+import ProductCard from './ProductCard'
+
+/**
+ * ProductCarousel Component - Titled, horizontally scrolling row of product cards
+ *
+ * WHAT IT DOES:
+ * - Renders ProductCards in one row that scrolls sideways (touch, trackpad or the arrow buttons)
+ * - Renders nothing when there are no products
+ *
+ * PARAMETERS:
+ * @param {string} title - Section heading
+ * @param {Array} products - Products to show
+ * @param {ReactNode} action - Optional element next to the heading (e.g. a "Clear" link)
+ */
+const ProductCarousel = ({ title, products, action = null }) => {
+  const trackRef = useRef(null)
+
+  if (!products || products.length === 0) return null
+
+  // Scroll by most of the visible width so one card stays in view for context
+  const scroll = (direction) => {
+    const track = trackRef.current
+    if (track) track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' })
+  }
+
+  return (
+    <section className="mt-12">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+        <div className="flex items-center gap-2">
+          {action}
+          <button
+            onClick={() => scroll(-1)}
+            aria-label="Scroll left"
+            className="p-2 rounded-full bg-white shadow hover:bg-gray-100 transition"
+          >
+            <FaChevronLeft />
+          </button>
+          <button
+            onClick={() => scroll(1)}
+            aria-label="Scroll right"
+            className="p-2 rounded-full bg-white shadow hover:bg-gray-100 transition"
+          >
+            <FaChevronRight />
+          </button>
+        </div>
+      </div>
+      <div ref={trackRef} className="flex gap-6 overflow-x-auto snap-x pb-4">
+        {products.map((product) => (
+          <div key={product.id} className="w-64 flex-shrink-0 snap-start">
+            <ProductCard product={product} />
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default ProductCarousel
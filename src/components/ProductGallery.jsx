@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react'
+import { FaChevronLeft, FaChevronRight, FaTimes } from 'react-icons/fa'
+
+const PLACEHOLDER = 'https://via.placeholder.com/600'
+// How much the main image is magnified under the mouse
+const HOVER_ZOOM = 2
+
+/**
+ * ProductGallery Component - Main image with thumbnails, hover zoom and a lightbox
+ *
+ * WHAT IT DOES:
+ * - Shows the selected image large; hovering zooms in around the mouse pointer
+ * - Thumbnails below switch the main image
+ * - Clicking the main image opens a full-screen lightbox with previous/next,
+ *   keyboard navigation (← → Esc) and native pinch zoom on touch screens
+ *
+ * PARAMETERS:
+ * @param {Array} images - Image URLs, main image first
+ * @param {string} alt - Alt text (product name)
+ */
+const ProductGallery = ({ images, alt }) => {
+  const list = images.length > 0 ? images : [PLACEHOLDER]
+  const [index, setIndex] = useState(0)
+  const [lightboxOpen, setLightboxOpen] = useState(false)
+  // Zoom origin in percent of the image size, null while the mouse isn't over the image
+  const [zoomOrigin, setZoomOrigin] = useState(null)
+
+  // A different image list (e.g. another variant chosen) starts from its first image
+  useEffect(() => {
+    setIndex(0)
+  }, [images.join('|')])
+
+  const showPrevious = () => setIndex((i) => (i - 1 + list.length) % list.length)
+  const showNext = () => setIndex((i) => (i + 1) % list.length)
+
+  // Keyboard navigation while the lightbox is open
+  useEffect(() => {
+    if (!lightboxOpen) return
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setLightboxOpen(false)
+      if (e.key === 'ArrowLeft') showPrevious()
+      if (e.key === 'ArrowRight') showNext()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [lightboxOpen, list.length])
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    setZoomOrigin({
+      x: ((e.clientX - rect.left) / rect.width) * 100,
+      y: ((e.clientY - rect.top) / rect.height) * 100,
+    })
+  }
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setLightboxOpen(true)}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setZoomOrigin(null)}
+        aria-label="Open image viewer"
+        className="block w-full overflow-hidden rounded-lg shadow-lg cursor-zoom-in"
+      >
+        <img
+          src={list[index]}
+          alt={alt}
+          className="w-full h-auto transition-transform duration-150"
+          style={
+            zoomOrigin
+              ? { transform: `scale(${HOVER_ZOOM})`, transformOrigin: `${zoomOrigin.x}% ${zoomOrigin.y}%` }
+              : undefined
+          }
+        />
+      </button>
+
+      {list.length > 1 && (
+        <div className="flex gap-2 mt-4 overflow-x-auto">
+          {list.map((url, i) => (
+            <button
+              key={url}
+              type="button"
+              onClick={() => setIndex(i)}
+              aria-label={`Show image ${i + 1}`}
+              className={`flex-shrink-0 w-20 h-20 rounded-lg overflow-hidden border-2 ${
+                i === index ? 'border-indigo-600' : 'border-transparent hover:border-gray-300'
+              }`}
+            >
+              <img src={url} alt="" className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Lightbox */}
+      {lightboxOpen && (
+        <div
+          role="dialog"
+          aria-modal="true"
+          onClick={() => setLightboxOpen(false)}
+          className="fixed inset-0 z-50 bg-black bg-opacity-90 flex items-center justify-center"
+        >
+          <button
+            type="button"
+            onClick={() => setLightboxOpen(false)}
+            aria-label="Close"
+            className="absolute top-4 right-4 text-white text-2xl p-2"
+          >
+            <FaTimes />
+          </button>
+          {list.length > 1 && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                showPrevious()
+              }}
+              aria-label="Previous image"
+              className="absolute left-4 text-white text-3xl p-2"
+            >
+              <FaChevronLeft />
+            </button>
+          )}
+          <img
+            src={list[index]}
+            alt={alt}
+            onClick={(e) => e.stopPropagation()}
+            className="max-h-[90vh] max-w-[90vw] object-contain touch-pinch-zoom"
+          />
+          {list.length > 1 && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                showNext()
+              }}
+              aria-label="Next image"
+              className="absolute right-4 text-white text-3xl p-2"
+            >
+              <FaChevronRight />
+            </button>
+          )}
+          {list.length > 1 && (
+            <p className="absolute bottom-4 text-white text-sm">
+              {index + 1} / {list.length}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProductGallery
@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { reviewService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { toPage } from '../utils/pagination'
+import RatingSummary from './RatingSummary'
+import ReviewItem from './ReviewItem'
+import ReviewForm from './ReviewForm'
+import Pagination from './Pagination'
+
+// Reviews shown per page
+const PAGE_SIZE = 5
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'helpful', label: 'Most helpful' },
+  { value: 'rating_desc', label: 'Highest rating' },
+  { value: 'rating_asc', label: 'Lowest rating' },
+]
+
+/**
+ * ProductReviews Component - Reviews section of the product page
+ *
+ * WHAT IT DOES:
+ * - Shows the average rating and star histogram (reviewService.getSummary)
+ * - Lists reviews one page at a time with a sort selector
+ * - Shows the review form to logged-in customers who bought the product
+ *   (reviewService.getEligibility); guests get a login link
+ *
+ * PARAMETERS:
+ * @param {string|number} productId - Product whose reviews are shown
+ */
+const ProductReviews = ({ productId }) => {
+  const { isAuthenticated } = useAuth()
+  const [summary, setSummary] = useState(null)
+  const [reviews, setReviews] = useState([])
+  const [page, setPage] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
+  const [sort, setSort] = useState('newest')
+  const [loading, setLoading] = useState(true)
+  const [eligibility, setEligibility] = useState(null)
+  // Bumped after a new review so the summary and list reload
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  useEffect(() => {
+    reviewService
+      .getSummary(productId)
+      .then((response) => setSummary(response.data))
+      .catch((error) => console.error('Error fetching rating summary:', error))
+  }, [productId, refreshKey])
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true)
+      try {
+        const response = await reviewService.getByProduct(productId, { page, size: PAGE_SIZE, sort })
+        const result = toPage(response.data, page, PAGE_SIZE)
+        setReviews(result.content)
+        setTotalPages(result.totalPages)
+      } catch (error) {
+        // The rest of the product page still works without reviews
+        console.error('Error fetching reviews:', error)
+        setReviews([])
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchReviews()
+  }, [productId, page, sort, refreshKey])
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setEligibility(null)
+      return
+    }
+    reviewService
+      .getEligibility(productId)
+      .then((response) => setEligibility(response.data))
+      .catch(() => setEligibility(null))
+  }, [productId, isAuthenticated, refreshKey])
+
+  const handleSortChange = (e) => {
+    setSort(e.target.value)
+    setPage(0)
+  }
+
+  const handleSubmitted = () => {
+    setPage(0)
+    setRefreshKey((key) => key + 1)
+  }
+
+  return (
+    <section className="bg-white rounded-lg shadow-md p-6 mt-12">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Customer Reviews</h2>
+      <RatingSummary summary={summary} />
+
+      <div className="mt-6">
+        {eligibility?.canReview ? (
+          <ReviewForm productId={productId} onSubmitted={handleSubmitted} />
+        ) : !isAuthenticated ? (
+          <p className="text-sm text-gray-600">
+            <Link to={`/login?redirect=/product/${productId}`} className="text-indigo-600 hover:underline">
+              Log in
+            </Link>{' '}
+            to review a product you've bought.
+          </p>
+        ) : (
+          eligibility?.reason && <p className="text-sm text-gray-600">{eligibility.reason}</p>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mt-8 mb-2">
+        <h3 className="font-semibold text-gray-800">Reviews</h3>
+        <select value={sort} onChange={handleSortChange} className="px-3 py-2 border rounded text-sm">
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No reviews yet</p>
+      ) : (
+        <>
+          <div>
+            {reviews.map((review) => (
+              <ReviewItem key={review.id} review={review} />
+            ))}
+          </div>
+          <div className="mt-4">
+            <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default ProductReviews
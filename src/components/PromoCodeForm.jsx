@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { promotionService } from '../services/api'
+import { useCart } from '../context/CartContext'
+import { isPromotionEligible } from '../pricing/promotions'
+import { toServerItems } from '../utils/cart'
+import { toast } from 'react-toastify'
+
+/**
+ * PromoCodeForm Component - Enter, validate and remove a promo code
+ * 
+ * WHAT IT DOES:
+ * - Sends the code and cart contents to promotionService.validate
+ * - Stores the validated promotion in CartContext (persisted with the cart)
+ * - Shows the applied code with a Remove button, and why it doesn't apply yet if the
+ *   subtotal is below the code's minimum
+ */
+const PromoCodeForm = () => {
+  const { cartItems, getCartTotal, promotion, applyPromotion, removePromotion } = useCart()
+  const [code, setCode] = useState('')
+  const [validating, setValidating] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const trimmed = code.trim()
+    if (!trimmed) return
+    setValidating(true)
+    try {
+      const response = await promotionService.validate(trimmed, {
+        subtotal: getCartTotal(),
+        items: toServerItems(cartItems),
+      })
+      applyPromotion({ ...response.data, code: response.data.code || trimmed })
+      setCode('')
+      toast.success('Promo code applied!')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'This promo code is not valid.')
+    } finally {
+      setValidating(false)
+    }
+  }
+
+  if (promotion) {
+    const eligible = isPromotionEligible(promotion, getCartTotal())
+    return (
+      <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+        <div className="flex justify-between items-center">
+          <span className="font-semibold text-green-800">{promotion.code}</span>
+          <button onClick={removePromotion} className="text-sm text-red-600 hover:underline">
+            Remove
+          </button>
+        </div>
+        {promotion.description && <p className="text-xs text-green-700 mt-1">{promotion.description}</p>}
+        {!eligible && (
+          <p className="text-xs text-orange-700 mt-1">
+            Applies to orders over ${Number(promotion.minSubtotal).toFixed(2)}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2">
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Promo code"
+        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+      />
+      <button
+        type="submit"
+        disabled={validating || !code.trim()}
+        className="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900 transition disabled:opacity-50"
+      >
+        {validating ? '...' : 'Apply'}
+      </button>
+    </form>
+  )
+}
+
+export default PromoCodeForm
@@ -0,0 +1,41 @@
+import StarRating from './StarRating'
+
+/**
+ * RatingSummary Component - Average rating and a 5-to-1 star histogram
+ *
+ * PARAMETERS:
+ * @param {Object} summary - { average, count, distribution: { 1: n, ..., 5: n } }
+ */
+const RatingSummary = ({ summary }) => {
+  const count = summary?.count || 0
+  const average = Number(summary?.average || 0)
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-6">
+      <div className="text-center sm:w-40">
+        <p className="text-5xl font-bold text-gray-800">{count > 0 ? average.toFixed(1) : '–'}</p>
+        <StarRating rating={average} className="text-lg" />
+        <p className="text-sm text-gray-600 mt-1">
+          {count} review{count === 1 ? '' : 's'}
+        </p>
+      </div>
+      <div className="flex-1 space-y-1">
+        {[5, 4, 3, 2, 1].map((star) => {
+          const starCount = summary?.distribution?.[star] || 0
+          const percent = count > 0 ? Math.round((starCount / count) * 100) : 0
+          return (
+            <div key={star} className="flex items-center gap-2 text-sm">
+              <span className="w-12 text-gray-600">{star} star</span>
+              <div className="flex-1 h-3 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }}></div>
+              </div>
+              <span className="w-10 text-right text-gray-600">{percent}%</span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default RatingSummary
@@ -0,0 +1,52 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import Forbidden from '../pages/Forbidden'
+
+/**
+ * RequireRole Component - Guards a route by login state and role
+ * 
+ * WHAT IT DOES:
+ * - Shows a spinner while AuthContext is still reading the stored session
+ * - Redirects anonymous users to /login?redirect=<current page>
+ * - Shows the 403 page when the user's role is not in the allowed list
+ * - Renders the protected page otherwise
+ * 
+ * PARAMETERS:
+ * @param {string[]} roles - Allowed roles (e.g. ['ADMIN']); omit to allow any logged-in user
+ * @param {ReactNode} children - The protected page
+ * 
+ * FLOW:
+ * 1. Route matches → RequireRole renders instead of the page
+ * 2. Reads user and role from useAuth()
+ * 3. Because it reads from context, it re-checks on every login, logout or role change
+ * 
+ * RETURNS:
+ * - Spinner, <Navigate> to login, <Forbidden />, or the children
+ */
+const RequireRole = ({ roles, children }) => {
+  const { user, role, loading } = useAuth()
+  const location = useLocation()
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  // Not logged in → go to login and come back here afterwards
+  if (!user) {
+    const redirect = encodeURIComponent(location.pathname + location.search)
+    return <Navigate to={`/login?redirect=${redirect}`} replace />
+  }
+
+  // Logged in with the wrong role → 403
+  if (roles && roles.length > 0 && !roles.includes(role)) {
+    return <Forbidden />
+  }
+
+  return children
+}
+
+export default RequireRole
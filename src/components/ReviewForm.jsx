@@ -0,0 +1,140 @@
+import { useState } from 'react'
+import { FaTimes } from 'react-icons/fa'
+import { reviewService, uploadService } from '../services/api'
+import { validateImageFile } from '../utils/images'
+import StarRating from './StarRating'
+import { toast } from 'react-toastify'
+
+// Photos a customer can attach to one review
+const MAX_REVIEW_PHOTOS = 5
+
+/**
+ * ReviewForm Component - Star rating, text and optional photos for a product review
+ *
+ * WHAT IT DOES:
+ * - Requires a 1-5 star rating and review text; title and photos are optional
+ * - Uploads photos through uploadService as they are picked (up to MAX_REVIEW_PHOTOS)
+ * - Sends the review with reviewService.create, then calls onSubmitted
+ *
+ * PARAMETERS:
+ * @param {string|number} productId - Product being reviewed
+ * @param {Function} onSubmitted - Called with the created review
+ */
+const ReviewForm = ({ productId, onSubmitted }) => {
+  const [rating, setRating] = useState(0)
+  const [title, setTitle] = useState('')
+  const [text, setText] = useState('')
+  const [photos, setPhotos] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_REVIEW_PHOTOS - photos.length)
+    e.target.value = ''
+    setUploading(true)
+    const uploaded = []
+    for (const file of files) {
+      const validationError = validateImageFile(file)
+      if (validationError) {
+        toast.error(`${file.name}: ${validationError}`)
+        continue
+      }
+      try {
+        const response = await uploadService.uploadImage(file)
+        if (response.data?.url) uploaded.push(response.data.url)
+      } catch (error) {
+        toast.error(`${file.name}: upload failed - ` + (error.response?.data?.error || error.message))
+      }
+    }
+    setPhotos((prev) => [...prev, ...uploaded])
+    setUploading(false)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (rating === 0) {
+      toast.error('Please choose a star rating')
+      return
+    }
+    setSubmitting(true)
+    try {
+      const response = await reviewService.create(productId, { rating, title: title.trim(), text: text.trim(), photos })
+      toast.success('Thanks for your review!')
+      onSubmitted(response.data)
+    } catch (error) {
+      toast.error('Failed to submit review: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 rounded-lg p-4 space-y-4">
+      <h3 className="font-semibold text-gray-800">Write a review</h3>
+      <div>
+        <label className="block text-gray-700 font-semibold mb-1">Your rating</label>
+        <StarRating rating={rating} onChange={setRating} className="text-2xl" />
+      </div>
+      <div>
+        <label className="block text-gray-700 font-semibold mb-1">Title (optional)</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          maxLength={120}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+        />
+      </div>
+      <div>
+        <label className="block text-gray-700 font-semibold mb-1">Review</label>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          required
+          rows="4"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+        />
+      </div>
+      <div>
+        <label className="block text-gray-700 font-semibold mb-1">Photos (optional)</label>
+        {photos.length > 0 && (
+          <div className="flex gap-2 mb-2">
+            {photos.map((url) => (
+              <div key={url} className="relative">
+                <img src={url} alt="" className="w-20 h-20 object-cover rounded-lg" />
+                <button
+                  type="button"
+                  onClick={() => setPhotos(photos.filter((photo) => photo !== url))}
+                  aria-label="Remove photo"
+                  className="absolute top-1 right-1 bg-white rounded-full p-1 text-red-600 shadow"
+                >
+                  <FaTimes className="text-xs" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {photos.length < MAX_REVIEW_PHOTOS && (
+          <input
+            type="file"
+            multiple
+            accept=".jpg,.jpeg,.png,.gif,.webp,.bmp,.tiff"
+            onChange={handlePhotos}
+            disabled={uploading}
+            className="w-full"
+          />
+        )}
+        <p className="text-xs text-gray-500 mt-1">{uploading ? 'Uploading...' : `Up to ${MAX_REVIEW_PHOTOS} photos, 5MB each`}</p>
+      </div>
+      <button
+        type="submit"
+        disabled={submitting || uploading}
+        className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+      >
+        {submitting ? 'Submitting...' : 'Submit Review'}
+      </button>
+    </form>
+  )
+}
+
+export default ReviewForm
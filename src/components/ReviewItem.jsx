@@ -0,0 +1,49 @@
+import StarRating from './StarRating'
+
+/**
+ * ReviewItem Component - One customer review with photos and the seller's reply
+ *
+ * PARAMETERS:
+ * @param {Object} review - { rating, title, text, authorName, createdAt, photos, verifiedPurchase,
+ *   sellerReply, sellerReplyAt }
+ * @param {ReactNode} children - Optional extra content under the review (e.g. seller reply form)
+ */
+const ReviewItem = ({ review, children }) => {
+  return (
+    <div className="py-4 border-b border-gray-200 last:border-b-0">
+      <div className="flex items-center gap-2 mb-1">
+        <StarRating rating={review.rating} className="text-sm" />
+        {review.title && <span className="font-semibold text-gray-800">{review.title}</span>}
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        {review.authorName || 'Customer'}
+        {review.createdAt && ` · ${new Date(review.createdAt).toLocaleDateString()}`}
+        {review.verifiedPurchase && <span className="ml-2 text-green-600 font-semibold">Verified purchase</span>}
+      </p>
+      <p className="text-gray-700 whitespace-pre-line">{review.text}</p>
+
+      {review.photos?.length > 0 && (
+        <div className="flex gap-2 mt-3">
+          {review.photos.map((url) => (
+            <a key={url} href={url} target="_blank" rel="noreferrer">
+              <img src={url} alt="Review photo" className="w-20 h-20 object-cover rounded-lg" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {review.sellerReply && (
+        <div className="mt-3 ml-4 pl-4 border-l-4 border-indigo-200">
+          <p className="text-xs font-semibold text-indigo-700 mb-1">
+            Response from the seller
+            {review.sellerReplyAt && ` · ${new Date(review.sellerReplyAt).toLocaleDateString()}`}
+          </p>
+          <p className="text-gray-700 text-sm whitespace-pre-line">{review.sellerReply}</p>
+        </div>
+      )}
+      {children}
+    </div>
+  )
+}
+
+export default ReviewItem
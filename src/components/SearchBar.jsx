@@ -0,0 +1,246 @@
+import { useEffect, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { FaSearch, FaHistory, FaTimes, FaTag } from 'react-icons/fa'
+import { productService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { getRecentSearches, addRecentSearch, removeRecentSearch } from '../utils/recentSearches'
+
+// Characters typed before suggestions are requested
+const MIN_QUERY_LENGTH = 2
+
+/**
+ * SearchBar Component - Global product search with an autocomplete dropdown (Navbar)
+ *
+ * WHAT IT DOES:
+ * - Suggests matching products (with thumbnails) and categories as the user types
+ *   (productService.suggest, debounced)
+ * - Shows recent searches when the box is empty (utils/recentSearches)
+ * - Offers "Did you mean …?" when the query matches nothing
+ * - Keyboard: ↑/↓ move through the suggestions, Enter opens the highlighted one
+ *   (or searches for the typed text), Esc closes the dropdown
+ *
+ * FLOW:
+ * 1. Enter / "Search for …" → /products?q=… and the term is saved to recent searches
+ * 2. Product suggestion → /product/{id}
+ * 3. Category suggestion → /products?category=…
+ */
+const SearchBar = () => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [query, setQuery] = useState('')
+  const [suggestions, setSuggestions] = useState(null)
+  const [recent, setRecent] = useState([])
+  const [open, setOpen] = useState(false)
+  // Index of the highlighted option (-1 = none)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const containerRef = useRef(null)
+
+  // Show the current catalog search in the box (e.g. after a reload or Back)
+  useEffect(() => {
+    if (location.pathname === '/products') {
+      setQuery(new URLSearchParams(location.search).get('q') || '')
+    }
+  }, [location.pathname, location.search])
+
+  useEffect(() => {
+    setRecent(getRecentSearches(user?.id))
+  }, [user?.id])
+
+  // Fetch suggestions while the user types
+  useEffect(() => {
+    const term = query.trim()
+    if (!open || term.length < MIN_QUERY_LENGTH) {
+      setSuggestions(null)
+      return
+    }
+    let cancelled = false
+    const id = setTimeout(async () => {
+      try {
+        const response = await productService.suggest(term)
+        if (!cancelled) setSuggestions(response.data)
+      } catch (error) {
+        console.error('Error fetching suggestions:', error)
+      }
+    }, 200)
+    return () => {
+      cancelled = true
+      clearTimeout(id)
+    }
+  }, [query, open])
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [])
+
+  const search = (term) => {
+    const trimmed = term.trim()
+    if (!trimmed) return
+    setRecent(addRecentSearch(user?.id, trimmed))
+    setQuery(trimmed)
+    setOpen(false)
+    navigate(`/products?${new URLSearchParams({ q: trimmed })}`)
+  }
+
+  // Everything the dropdown shows, flattened so the arrow keys can move through it
+  const term = query.trim()
+  const options = []
+  if (term.length < MIN_QUERY_LENGTH) {
+    recent.forEach((t) => options.push({ type: 'recent', key: `recent-${t}`, term: t }))
+  } else if (suggestions) {
+    const products = suggestions.products || []
+    const categories = suggestions.categories || []
+    if (products.length === 0 && categories.length === 0 && suggestions.didYouMean) {
+      options.push({ type: 'didYouMean', key: 'did-you-mean', term: suggestions.didYouMean })
+    }
+    products.forEach((product) => options.push({ type: 'product', key: `product-${product.id}`, product }))
+    categories.forEach((category) => options.push({ type: 'category', key: `category-${category.value}`, category }))
+    options.push({ type: 'search', key: 'search', term })
+  }
+
+  const selectOption = (option) => {
+    setOpen(false)
+    setActiveIndex(-1)
+    if (option.type === 'product') {
+      navigate(`/product/${option.product.id}`)
+    } else if (option.type === 'category') {
+      navigate(`/products?${new URLSearchParams({ category: option.category.value })}`)
+    } else {
+      search(option.term)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex((index) => (options.length === 0 ? -1 : (index + 1) % options.length))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((index) => (index <= 0 ? options.length - 1 : index - 1))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (open && options[activeIndex]) selectOption(options[activeIndex])
+      else search(query)
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
+  const optionClass = (index) =>
+    `flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-indigo-50' : 'hover:bg-gray-50'}`
+
+  const renderOption = (option) => {
+    switch (option.type) {
+      case 'recent':
+        return (
+          <>
+            <FaHistory className="text-gray-400" />
+            <span className="flex-1 text-gray-700">{option.term}</span>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                setRecent(removeRecentSearch(user?.id, option.term))
+                setActiveIndex(-1)
+              }}
+              aria-label={`Remove ${option.term} from recent searches`}
+              className="text-gray-400 hover:text-red-600"
+            >
+              <FaTimes className="text-xs" />
+            </button>
+          </>
+        )
+      case 'didYouMean':
+        return (
+          <span className="text-gray-700">
+            No results. Did you mean <span className="font-semibold text-indigo-600">{option.term}</span>?
+          </span>
+        )
+      case 'product':
+        return (
+          <>
+            <img src={option.product.imageUrl} alt="" className="w-10 h-10 object-cover rounded" />
+            <span className="flex-1 text-gray-800">{option.product.name}</span>
+            {option.product.price != null && <span className="text-gray-600">${option.product.price}</span>}
+          </>
+        )
+      case 'category':
+        return (
+          <>
+            <FaTag className="text-gray-400" />
+            <span className="flex-1 text-gray-700">
+              in <span className="font-semibold">{option.category.label || option.category.value}</span>
+            </span>
+            {option.category.count != null && <span className="text-xs text-gray-500">{option.category.count}</span>}
+          </>
+        )
+      default:
+        return (
+          <>
+            <FaSearch className="text-gray-400" />
+            <span className="text-gray-700">
+              Search for <span className="font-semibold">"{option.term}"</span>
+            </span>
+          </>
+        )
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative w-full">
+      <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setOpen(true)
+          setActiveIndex(-1)
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search products..."
+        role="combobox"
+        aria-expanded={open && options.length > 0}
+        aria-controls="search-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `search-option-${activeIndex}` : undefined}
+        className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+      />
+      {open && options.length > 0 && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-96 overflow-y-auto z-50"
+        >
+          {term.length < MIN_QUERY_LENGTH && (
+            <li className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase">Recent searches</li>
+          )}
+          {options.map((option, index) => (
+            <li
+              key={option.key}
+              id={`search-option-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the dropdown doesn't close before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => selectOption(option)}
+              className={optionClass(index)}
+            >
+              {renderOption(option)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchBar
@@ -0,0 +1,146 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { sellerService } from '../services/api'
+import { toPage } from '../utils/pagination'
+import ReviewItem from './ReviewItem'
+import Pagination from './Pagination'
+import { toast } from 'react-toastify'
+
+// Reviews shown per page
+const PAGE_SIZE = 10
+
+/**
+ * SellerReviews Component - Reviews of the seller's products, with public replies
+ *
+ * WHAT IT DOES:
+ * - Lists reviews of the seller's products (newest first), optionally only unanswered ones
+ * - Lets the seller write or edit a public reply (sellerService.replyToReview);
+ *   the reply is shown under the review on the product page
+ *
+ * PARAMETERS:
+ * @param {string|number} sellerId - Logged-in seller
+ */
+const SellerReviews = ({ sellerId }) => {
+  const [reviews, setReviews] = useState([])
+  const [page, setPage] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
+  const [unansweredOnly, setUnansweredOnly] = useState(false)
+  const [loading, setLoading] = useState(true)
+  // Review being replied to and the reply text
+  const [replyingId, setReplyingId] = useState(null)
+  const [replyText, setReplyText] = useState('')
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true)
+      try {
+        const response = await sellerService.getReviews(sellerId, {
+          page,
+          size: PAGE_SIZE,
+          unanswered: unansweredOnly || undefined,
+        })
+        const result = toPage(response.data, page, PAGE_SIZE)
+        setReviews(result.content)
+        setTotalPages(result.totalPages)
+      } catch (error) {
+        console.error('Error fetching reviews:', error)
+        toast.error('Failed to load reviews')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchReviews()
+  }, [sellerId, page, unansweredOnly])
+
+  const startReply = (review) => {
+    setReplyingId(review.id)
+    setReplyText(review.sellerReply || '')
+  }
+
+  const handleReplySubmit = async (e, reviewId) => {
+    e.preventDefault()
+    try {
+      const response = await sellerService.replyToReview(reviewId, replyText.trim(), sellerId)
+      setReviews(
+        reviews.map((review) =>
+          review.id === reviewId
+            ? { ...review, sellerReply: replyText.trim(), sellerReplyAt: new Date().toISOString(), ...(response.data || {}) }
+            : review
+        )
+      )
+      setReplyingId(null)
+      toast.success('Reply posted!')
+    } catch (error) {
+      toast.error('Failed to post reply: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Customer Reviews</h2>
+        <label className="inline-flex items-center text-sm">
+          <input
+            type="checkbox"
+            checked={unansweredOnly}
+            onChange={(e) => {
+              setUnansweredOnly(e.target.checked)
+              setPage(0)
+            }}
+            className="mr-2"
+          />
+          Unanswered only
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No reviews yet</p>
+      ) : (
+        <>
+          {reviews.map((review) => (
+            <div key={review.id}>
+              <Link to={`/product/${review.productId}`} className="text-sm text-indigo-600 hover:underline">
+                {review.productName || `Product #${review.productId}`}
+              </Link>
+              <ReviewItem review={review}>
+                {replyingId === review.id ? (
+                  <form onSubmit={(e) => handleReplySubmit(e, review.id)} className="mt-3 space-y-2">
+                    <textarea
+                      value={replyText}
+                      onChange={(e) => setReplyText(e.target.value)}
+                      required
+                      rows="3"
+                      placeholder="Your public reply"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+                    />
+                    <div className="flex gap-2">
+                      <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition text-sm">
+                        Post Reply
+                      </button>
+                      <button type="button" onClick={() => setReplyingId(null)} className="bg-gray-300 text-gray-800 px-4 py-2 rounded text-sm">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <button onClick={() => startReply(review)} className="mt-2 text-sm text-indigo-600 hover:underline">
+                    {review.sellerReply ? 'Edit reply' : 'Reply'}
+                  </button>
+                )}
+              </ReviewItem>
+            </div>
+          ))}
+          <div className="mt-4">
+            <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SellerReviews
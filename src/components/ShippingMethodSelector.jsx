@@ -0,0 +1,39 @@
+/**
+ * ShippingMethodSelector Component - Radio list of shipping methods with prices
+ * 
+ * PARAMETERS:
+ * @param {Array} options - Priced methods from getShippingOptions()
+ * @param {string} value - Selected method id
+ * @param {Function} onChange - Called with the new method id
+ */
+const ShippingMethodSelector = ({ options, value, onChange }) => {
+  return (
+    <div className="space-y-2">
+      {options.map(({ method, cost, isFree }) => (
+        <label
+          key={method.id}
+          className={`flex items-center justify-between p-3 border rounded-lg cursor-pointer ${
+            value === method.id ? 'border-indigo-600 bg-indigo-50' : 'border-gray-300'
+          }`}
+        >
+          <span className="flex items-center">
+            <input
+              type="radio"
+              name="shippingMethod"
+              checked={value === method.id}
+              onChange={() => onChange(method.id)}
+              className="mr-3"
+            />
+            <span>
+              <span className="font-semibold">{method.label}</span>
+              <span className="block text-xs text-gray-500">{method.estimate}</span>
+            </span>
+          </span>
+          <span className="font-semibold">{isFree ? 'Free' : `$${cost.toFixed(2)}`}</span>
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export default ShippingMethodSelector
@@ -0,0 +1,51 @@
+import { useState } from 'react'
+import { FaStar, FaStarHalfAlt, FaRegStar } from 'react-icons/fa'
+
+/**
+ * StarRating Component - Five stars, read-only or clickable
+ *
+ * WHAT IT DOES:
+ * - Read-only (no onChange): shows a rating rounded to the nearest half star
+ * - Input (with onChange): hover previews, click picks 1-5
+ *
+ * PARAMETERS:
+ * @param {number} rating - Rating from 0 to 5
+ * @param {Function} onChange - Optional; called with the clicked value (1-5)
+ * @param {string} className - Size/spacing classes (e.g. 'text-sm')
+ */
+const StarRating = ({ rating = 0, onChange, className = '' }) => {
+  const [hovered, setHovered] = useState(null)
+
+  if (!onChange) {
+    const rounded = Math.round(rating * 2) / 2
+    return (
+      <span className={`inline-flex text-yellow-400 ${className}`} aria-label={`${rating.toFixed(1)} out of 5 stars`}>
+        {[1, 2, 3, 4, 5].map((star) =>
+          rounded >= star ? <FaStar key={star} /> : rounded >= star - 0.5 ? <FaStarHalfAlt key={star} /> : <FaRegStar key={star} />
+        )}
+      </span>
+    )
+  }
+
+  const shown = hovered ?? rating
+  return (
+    <span className={`inline-flex text-yellow-400 ${className}`} onMouseLeave={() => setHovered(null)} role="radiogroup">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={rating === star}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          onClick={() => onChange(star)}
+          onMouseEnter={() => setHovered(star)}
+          className="p-0.5"
+        >
+          {shown >= star ? <FaStar /> : <FaRegStar />}
+        </button>
+      ))}
+    </span>
+  )
+}
+
+export default StarRating
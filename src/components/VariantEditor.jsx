@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { buildVariants, getVariantLabel } from '../utils/variants'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600'
+
+/**
+ * VariantEditor Component - Option axes and per-variant SKU, price, stock and image
+ *
+ * WHAT IT DOES:
+ * - Edits the product's options (name + comma-separated values, e.g. Size: S, M, L)
+ * - Keeps one variant row per combination of option values (buildVariants); rows that
+ *   already exist keep their SKU, price, stock and image when options change
+ * - A blank variant price means the product price is used
+ *
+ * PARAMETERS:
+ * @param {Array} options - [{ name, values }]
+ * @param {Array} variants - [{ sku, options, price, stockQuantity, imageUrl }]
+ * @param {string|number} basePrice - Product price, shown as the price placeholder
+ * @param {Function} onChange - Called with { options, variants }
+ */
+const VariantEditor = ({ options = [], variants = [], basePrice, onChange }) => {
+  // Values are typed as text and split on blur, so "S, M," can be typed without losing the comma
+  // (the dashboard remounts the editor with a new key for each product it edits)
+  const [valueDrafts, setValueDrafts] = useState(options.map((option) => option.values.join(', ')))
+
+  const updateOptions = (nextOptions) => {
+    onChange({ options: nextOptions, variants: buildVariants(nextOptions, variants) })
+  }
+
+  // Renaming an option renames the key in every variant too, so the rows keep their values
+  const handleOptionName = (index, name) => {
+    const previousName = options[index].name
+    onChange({
+      options: options.map((option, i) => (i === index ? { ...option, name } : option)),
+      variants: variants.map((variant) => {
+        const { [previousName]: value, ...rest } = variant.options || {}
+        return value === undefined ? variant : { ...variant, options: { ...rest, [name]: value } }
+      }),
+    })
+  }
+
+  const handleValuesBlur = (index) => {
+    const values = [...new Set(valueDrafts[index].split(',').map((value) => value.trim()).filter(Boolean))]
+    setValueDrafts(valueDrafts.map((draft, i) => (i === index ? values.join(', ') : draft)))
+    updateOptions(options.map((option, i) => (i === index ? { ...option, values } : option)))
+  }
+
+  const handleAddOption = () => {
+    setValueDrafts([...valueDrafts, ''])
+    onChange({ options: [...options, { name: '', values: [] }], variants })
+  }
+
+  const handleRemoveOption = (index) => {
+    setValueDrafts(valueDrafts.filter((_, i) => i !== index))
+    updateOptions(options.filter((_, i) => i !== index))
+  }
+
+  const handleVariantChange = (index, field, value) => {
+    onChange({ options, variants: variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)) })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <label className="block text-gray-700 font-semibold">Options &amp; Variants</label>
+        <button type="button" onClick={handleAddOption} className="text-indigo-600 hover:underline text-sm">
+          + Add option
+        </button>
+      </div>
+      {options.length === 0 && (
+        <p className="text-sm text-gray-500">No options - the product is sold as a single item.</p>
+      )}
+
+      {options.map((option, index) => (
+        <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+          <input
+            type="text"
+            placeholder="Option (e.g. Size)"
+            value={option.name}
+            onChange={(e) => handleOptionName(index, e.target.value)}
+            className={`${inputClass} md:col-span-2`}
+          />
+          <input
+            type="text"
+            placeholder="Values, comma separated (e.g. S, M, L)"
+            value={valueDrafts[index] ?? ''}
+            onChange={(e) => setValueDrafts(valueDrafts.map((draft, i) => (i === index ? e.target.value : draft)))}
+            onBlur={() => handleValuesBlur(index)}
+            className={`${inputClass} md:col-span-2`}
+          />
+          <button type="button" onClick={() => handleRemoveOption(index)} className="text-red-600 hover:underline text-sm">
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 pr-2">Variant</th>
+                <th className="py-2 pr-2">SKU</th>
+                <th className="py-2 pr-2">Price</th>
+                <th className="py-2 pr-2">Stock</th>
+                <th className="py-2">Image URL</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr key={getVariantLabel(variant, options)} className="border-t">
+                  <td className="py-2 pr-2 font-semibold whitespace-nowrap">{getVariantLabel(variant, options)}</td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="text"
+                      value={variant.sku || ''}
+                      onChange={(e) => handleVariantChange(index, 'sku', e.target.value)}
+                      required
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      placeholder={basePrice ? String(basePrice) : ''}
+                      value={variant.price ?? ''}
+                      onChange={(e) => handleVariantChange(index, 'price', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={variant.stockQuantity ?? 0}
+                      onChange={(e) => handleVariantChange(index, 'stockQuantity', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="url"
+                      value={variant.imageUrl || ''}
+                      onChange={(e) => handleVariantChange(index, 'imageUrl', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">
+            Leave a price blank to use the product price. Product stock is the total of all variants.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VariantEditor
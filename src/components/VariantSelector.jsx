@@ -0,0 +1,66 @@
+/**
+ * VariantSelector Component - One row of buttons per product option (Size, Color...)
+ *
+ * WHAT IT DOES:
+ * - Shows every value of every option; the selected value is highlighted
+ * - Values with no in-stock variant (given the other selections) are crossed out and disabled
+ * - Clicking the selected value again clears it
+ *
+ * PARAMETERS:
+ * @param {Object} product - Product with options and variants
+ * @param {Object} selections - { [optionName]: value }
+ * @param {Function} onChange - Called with the new selections object
+ */
+const VariantSelector = ({ product, selections, onChange }) => {
+  // A value is available if some in-stock variant has it and matches the other selections
+  const isAvailable = (optionName, value) =>
+    (product.variants || []).some(
+      (variant) =>
+        variant.options?.[optionName] === value &&
+        (variant.stockQuantity ?? 1) > 0 &&
+        product.options.every(
+          (option) => option.name === optionName || !selections[option.name] || variant.options?.[option.name] === selections[option.name]
+        )
+    )
+
+  const handleSelect = (optionName, value) => {
+    onChange({ ...selections, [optionName]: selections[optionName] === value ? undefined : value })
+  }
+
+  return (
+    <div className="space-y-4">
+      {product.options.map((option) => (
+        <div key={option.name}>
+          <p className="text-gray-700 font-semibold mb-2">
+            {option.name}
+            {selections[option.name] && <span className="font-normal text-gray-600">: {selections[option.name]}</span>}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {option.values.map((value) => {
+              const selected = selections[option.name] === value
+              const available = isAvailable(option.name, value)
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => handleSelect(option.name, value)}
+                  disabled={!available && !selected}
+                  aria-pressed={selected}
+                  className={`px-4 py-2 border rounded-lg transition ${
+                    selected
+                      ? 'border-indigo-600 bg-indigo-50 text-indigo-700 font-semibold'
+                      : 'border-gray-300 hover:border-indigo-600'
+                  } disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed`}
+                >
+                  {value}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default VariantSelector
@@ -0,0 +1,39 @@
+import { FaHeart, FaRegHeart } from 'react-icons/fa'
+import { useWishlist } from '../context/WishlistContext'
+import { toast } from 'react-toastify'
+
+/**
+ * WishlistButton Component - Heart toggle that saves a product to the wishlist
+ *
+ * WHAT IT DOES:
+ * - Shows a filled heart when the product is on the wishlist, an outline otherwise
+ * - Toggles the product on click; stops the click so it works inside a card's Link
+ *
+ * PARAMETERS:
+ * @param {Object} product - Product to save
+ * @param {string} className - Extra classes for positioning
+ */
+const WishlistButton = ({ product, className = '' }) => {
+  const { isInWishlist, toggleWishlist } = useWishlist()
+  const saved = isInWishlist(product.id)
+
+  const handleClick = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    toast.info(toggleWishlist(product) ? 'Saved to your wishlist' : 'Removed from your wishlist')
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-label={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      aria-pressed={saved}
+      className={`p-2 rounded-full bg-white shadow hover:scale-110 transition ${className}`}
+    >
+      {saved ? <FaHeart className="text-red-500" /> : <FaRegHeart className="text-gray-600" />}
+    </button>
+  )
+}
+
+export default WishlistButton
@@ -0,0 +1,117 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { setSessionExpiredHandler } from '../services/api'
+import { isTokenExpired } from '../utils/jwt'
+
+const AuthContext = createContext()
+
+export const useAuth = () => {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider')
+  }
+  return context
+}
+
+/**
+ * Reads the token and user saved by login() from local storage
+ * Tokens whose JWT "exp" claim has already passed are treated as logged out
+ * @return Object with token and user (both null when logged out)
+ */
+const readSession = () => {
+  try {
+    const token = localStorage.getItem('token')
+    const user = JSON.parse(localStorage.getItem('user') || 'null')
+    if (!token || !user) {
+      return { token: null, user: null }
+    }
+    if (isTokenExpired(token)) {
+      localStorage.removeItem('token')
+      localStorage.removeItem('user')
+      return { token: null, user: null }
+    }
+    return { token, user }
+  } catch (e) {
+    return { token: null, user: null }
+  }
+}
+
+/**
+ * AuthProvider - Single source of truth for the logged-in user
+ *
+ * WHAT IT DOES:
+ * - Loads token and user from local storage on mount
+ * - Exposes user, role, token, login(), logout(), updateUser() and a loading flag
+ * - Keeps tabs in sync through the browser's storage event
+ * - Clears the session when the API reports an expired token
+ */
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState({ token: null, user: null })
+  // true until the session has been read from storage on mount
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    setSession(readSession())
+    setLoading(false)
+
+    // Another tab logged in or out (e.key is null when storage was cleared)
+    const onStorage = (e) => {
+      if (e.key === 'token' || e.key === 'user' || e.key === null) {
+        setSession(readSession())
+      }
+    }
+    window.addEventListener('storage', onStorage)
+    // api.js has already removed the stored session when this runs
+    const unregister = setSessionExpiredHandler(() => setSession({ token: null, user: null }))
+    return () => {
+      window.removeEventListener('storage', onStorage)
+      unregister()
+    }
+  }, [])
+
+  /**
+   * Stores the session returned by the login endpoint
+   * @param token - JWT from the backend
+   * @param user - User object (id, name, email, role)
+   */
+  const login = (token, user) => {
+    localStorage.setItem('token', token)
+    localStorage.setItem('user', JSON.stringify(user))
+    setSession({ token, user })
+  }
+
+  /**
+   * Replaces the cached user (e.g. after a profile edit or role change)
+   * RequireRole and Navbar re-check the new role immediately
+   * @param user - Updated user object
+   */
+  const updateUser = (user) => {
+    localStorage.setItem('user', JSON.stringify(user))
+    setSession((prev) => ({ ...prev, user }))
+  }
+
+  /**
+   * Removes the stored session; pages react through the context value
+   */
+  const logout = () => {
+    localStorage.removeItem('token')
+    localStorage.removeItem('user')
+    setSession({ token: null, user: null })
+  }
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user: session.user,
+        role: session.user?.role || null,
+        token: session.token,
+        isAuthenticated: Boolean(session.user),
+        loading,
+        login,
+        logout,
+        updateUser,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  )
+}
@@ -1,4 +1,19 @@
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useRef } from 'react'
+import { useAuth } from './AuthContext'
+import { useSyncedList } from './useSyncedList'
+import { DEFAULT_SHIPPING_METHOD } from '../pricing/shipping'
+import { cartService, productService } from '../services/api'
+import {
+  fromServerCart,
+  fillCartLines,
+  toServerItems,
+  mergeCarts,
+  getMaxQuantity,
+  getCartChanges,
+  getCurrentLine,
+  CART_CHANGE_TYPES,
+} from '../utils/cart'
+import { getLineId, toCartLine } from '../utils/variants'
 
 const CartContext = createContext()
 
@@ -11,131 +26,153 @@ export const useCart = () => {
 }
 
 export const CartProvider = ({ children }) => {
-  const [cartItems, setCartItems] = useState([])
+  // Shipping method chosen in the cart summary; Checkout starts from the same choice
+  const [shippingMethod, setShippingMethod] = useState(DEFAULT_SHIPPING_METHOD)
+  // Promo code validated by promotionService; stored next to the cart under <cart key>_promo
+  const [promotion, setPromotion] = useState(null)
+  // Differences found by revalidateCart() that the user hasn't accepted yet; checkout is blocked meanwhile
+  const [cartChanges, setCartChanges] = useState([])
+  const [validatingCart, setValidatingCart] = useState(false)
+  // Bumped every time cartItems are (re)loaded for the current user: from local storage, then
+  // again when the server cart arrives. 0 until the first load; pages revalidate when it changes
+  const [cartLoadId, setCartLoadId] = useState(0)
+  const { loading: authLoading } = useAuth()
 
-  // Helper to compute storage key based on logged-in user
-  const getStorageKey = () => {
-    try {
-      const user = JSON.parse(localStorage.getItem('user') || 'null')
-      return user && user.id ? `cart_user_${user.id}` : 'cart_guest'
-    } catch (e) {
-      return 'cart_guest'
-    }
-  }
-
-  const storageKeyRef = { key: getStorageKey() }
+  /**
+   * Cart items per user (cart_user_<id> / cart_guest), synced with the server cart
+   * Guest items are merged in on login with mergeCarts() (quantities added, capped at stock);
+   * the legacy single 'cart' key is migrated into an empty per-user cart
+   */
+  const {
+    items: cartItems,
+    setItems: setCartItems,
+    storageKey,
+    storageKeyRef,
+  } = useSyncedList(
+    'cart',
+    {
+      load: async (userId) => {
+        const response = await cartService.get(userId)
+        return fillCartLines(fromServerCart(response.data), async (id) => (await productService.getById(id)).data)
+      },
+      save: (userId, items) => cartService.replace(userId, toServerItems(items)),
+      merge: mergeCarts,
+    },
+    { legacyKey: 'cart', onLoad: () => setCartLoadId((id) => id + 1) }
+  )
+  // Products fetched by the last revalidateCart(), applied by acceptCartChanges()
+  const latestProductsRef = useRef({})
+  // Incremented per revalidateCart() call so an older, slower check can't overwrite a newer one
+  const revalidationIdRef = useRef(0)
 
   /**
-   * Loads cart items from browser's local storage when component first mounts
-   * This persists cart data across page refreshes
+   * Loads the promo code stored next to the current user's cart
+   * Runs on mount and again after login/logout switches the storage key
    */
   useEffect(() => {
-    // On mount, load cart for current user (per-user key)
-    const loadCartFromStorage = () => {
-      const key = getStorageKey()
-      storageKeyRef.key = key
-      // Migrate legacy 'cart' key if present and per-user key is empty
+    if (authLoading) return
+
+    const loadPromotionFromStorage = () => {
       try {
-        const perUser = localStorage.getItem(key)
-        if (!perUser) {
-          const legacy = localStorage.getItem('cart')
-          if (legacy) {
-            localStorage.setItem(key, legacy)
-            localStorage.removeItem('cart')
-            setCartItems(JSON.parse(legacy))
-            return
-          }
-        }
-        if (perUser) {
-          setCartItems(JSON.parse(perUser))
-        } else {
-          setCartItems([])
-        }
+        setPromotion(JSON.parse(localStorage.getItem(`${storageKey}_promo`) || 'null'))
       } catch (e) {
-        setCartItems([])
+        setPromotion(null)
       }
     }
 
-    loadCartFromStorage()
+    // Changes found for the previous user's cart don't apply to this one
+    setCartChanges([])
+    loadPromotionFromStorage()
 
-    // Listen for auth changes (login/logout) and storage events from other tabs
-    const onAuthChanged = () => loadCartFromStorage()
+    // Reload when another tab changes this user's promo code
     const onStorage = (e) => {
-      if (e.key === storageKeyRef.key || e.key === 'cart') loadCartFromStorage()
+      if (e.key === `${storageKey}_promo`) loadPromotionFromStorage()
     }
-    window.addEventListener('authChanged', onAuthChanged)
     window.addEventListener('storage', onStorage)
-    return () => {
-      window.removeEventListener('authChanged', onAuthChanged)
-      window.removeEventListener('storage', onStorage)
-    }
-  }, []) // Empty dependency array means this runs only once on mount
+    return () => window.removeEventListener('storage', onStorage)
+  }, [storageKey, authLoading])
 
   /**
-   * Saves cart items to browser's local storage whenever cart changes
-   * This automatically persists cart data whenever items are added/removed
+   * Saves the applied promo code alongside the per-user cart
    */
   useEffect(() => {
-    // Save cart items to per-user storage key whenever cart changes
+    if (!storageKeyRef.current) return
     try {
-      const key = getStorageKey()
-      storageKeyRef.key = key
-      localStorage.setItem(key, JSON.stringify(cartItems))
+      const key = `${storageKeyRef.current}_promo`
+      if (promotion) {
+        localStorage.setItem(key, JSON.stringify(promotion))
+      } else {
+        localStorage.removeItem(key)
+      }
     } catch (e) {
       // ignore storage errors
     }
-  }, [cartItems]) // Runs whenever cartItems array changes
+  }, [promotion])
 
   /**
    * Adds a product to the shopping cart
-   * If product already exists in cart, increases its quantity by 1
-   * If product is new, adds it to cart with quantity 1
+   * Each product + variant combination is its own cart line (keyed by lineId)
+   * If the line already exists in cart, increases its quantity
+   * If the line is new, adds it to cart with the given quantity
+   * The cart never holds more than the product's (or variant's) stockQuantity
    * @param product - The product object to add to cart
+   * @param quantity - How many to add (default 1)
+   * @param variant - Chosen variant for products with options (see utils/variants)
+   * @return Number of units actually added (0 when the stock limit is already reached)
    */
-  const addToCart = (product) => {
+  const addToCart = (product, quantity = 1, variant = null) => {
+    const line = toCartLine(product, variant)
+    const existingItem = cartItems.find((item) => getLineId(item) === line.lineId)
+    const maxQuantity = getMaxQuantity(line)
+    const added = Math.max(0, Math.min(quantity, maxQuantity - (existingItem ? existingItem.quantity : 0)))
+    if (added === 0) return 0
+
     setCartItems((prevItems) => {
-      // Check if this product already exists in the cart
-      const existingItem = prevItems.find((item) => item.id === product.id)
-      if (existingItem) {
-        // If product already in cart, update its quantity
-        // Map through all items and increment quantity for matching product
+      // Check if this line already exists in the cart
+      const existing = prevItems.find((item) => getLineId(item) === line.lineId)
+      if (existing) {
+        // If line already in cart, update its quantity
+        // Map through all items and increase quantity for matching line, up to the stock
         return prevItems.map((item) =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 } // Increase quantity by 1
+          getLineId(item) === line.lineId
+            ? { ...item, quantity: Math.min(item.quantity + added, maxQuantity) }
             : item // Keep other items unchanged
         )
       }
-      // If product not in cart, add it as a new item with quantity 1
-      return [...prevItems, { ...product, quantity: 1 }]
+      // If line not in cart, add it as a new item
+      return [...prevItems, { ...line, quantity: added }]
     })
+    return added
   }
 
   /**
-   * Removes a product from the shopping cart
-   * @param productId - The ID of the product to remove
+   * Removes a line from the shopping cart
+   * @param lineId - The lineId of the cart item to remove (getLineId)
    */
-  const removeFromCart = (productId) => {
-    // Filter out the item with matching productId from the cart
+  const removeFromCart = (lineId) => {
+    // Filter out the item with matching lineId from the cart
     // All other items remain in the cart
-    setCartItems((prevItems) => prevItems.filter((item) => item.id !== productId))
+    setCartItems((prevItems) => prevItems.filter((item) => getLineId(item) !== lineId))
+    // A removed item no longer needs its change accepted
+    setCartChanges((prevChanges) => prevChanges.filter((change) => change.lineId !== lineId))
   }
 
   /**
-   * Updates the quantity of a specific product in the cart
-   * @param productId - The ID of the product to update
+   * Updates the quantity of a specific line in the cart
+   * @param lineId - The lineId of the cart item to update
    * @param quantity - The new quantity value
    */
-  const updateQuantity = (productId, quantity) => {
+  const updateQuantity = (lineId, quantity) => {
     // Check if quantity is zero or negative
     if (quantity <= 0) {
       // If quantity is 0 or less, remove the item from cart completely
-      removeFromCart(productId)
+      removeFromCart(lineId)
       return // Exit function early, item is removed
     }
-    // If quantity is positive, update the item's quantity
+    // If quantity is positive, update the item's quantity (capped at the stock)
     setCartItems((prevItems) =>
       prevItems.map((item) =>
-        item.id === productId ? { ...item, quantity } : item // Update quantity for matching item
+        getLineId(item) === lineId ? { ...item, quantity: Math.min(quantity, getMaxQuantity(item)) } : item
       )
     )
   }
@@ -145,8 +182,98 @@ export const CartProvider = ({ children }) => {
    * Typically called after successful order placement
    */
   const clearCart = () => {
-    // Reset cart items to empty array
+    // Reset cart items to empty array; the promo code was used by the order
     setCartItems([])
+    setPromotion(null)
+    setCartChanges([])
+  }
+
+  /**
+   * Re-fetches every product in the cart and compares it with the stored snapshot
+   * Called by the Cart and Checkout pages whenever cartLoadId changes, i.e. once the cart has
+   * loaded (a direct link or reload opens the page before that) and again when the server cart arrives
+   * 
+   * FLOW:
+   * 1. productService.getById() for each product in the cart (in parallel)
+   * 2. Price changes, reduced stock and unavailable products/variants → cartChanges (not applied yet)
+   * 3. Lines without such changes get their snapshot refreshed silently (stock, name, image)
+   * 4. Products that fail to load for other reasons (network) are left as they are
+   */
+  const revalidateCart = async () => {
+    const revalidationId = ++revalidationIdRef.current
+    if (cartItems.length === 0) {
+      setCartChanges([])
+      setValidatingCart(false)
+      return
+    }
+    setValidatingCart(true)
+    const ids = [...new Set(cartItems.map((item) => item.id))]
+    const results = await Promise.allSettled(ids.map((id) => productService.getById(id)))
+    // A newer check (e.g. after the server cart arrived) has started; its result wins
+    if (revalidationId !== revalidationIdRef.current) return
+    const currentProducts = {}
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        currentProducts[ids[index]] = result.value.data
+      } else if (result.reason?.response?.status === 404) {
+        // Product was deleted
+        currentProducts[ids[index]] = null
+      }
+    })
+    latestProductsRef.current = currentProducts
+
+    const changes = getCartChanges(cartItems, currentProducts)
+    const changedLineIds = changes.map((change) => change.lineId)
+    setCartItems((prevItems) => {
+      let refreshed = false
+      const nextItems = prevItems.map((item) => {
+        if (!(item.id in currentProducts) || changedLineIds.includes(getLineId(item))) return item
+        const current = getCurrentLine(item, currentProducts[item.id])
+        if (!current) return item
+        if (current.stockQuantity === item.stockQuantity && current.name === item.name && current.imageUrl === item.imageUrl) {
+          return item
+        }
+        refreshed = true
+        return { ...current, quantity: item.quantity }
+      })
+      // Same array when nothing changed, so the cart isn't re-saved on every visit
+      return refreshed ? nextItems : prevItems
+    })
+    setCartChanges(changes)
+    setValidatingCart(false)
+  }
+
+  /**
+   * Applies the changes found by revalidateCart(): new prices, reduced quantities,
+   * unavailable items removed
+   */
+  const acceptCartChanges = () => {
+    setCartItems((prevItems) =>
+      prevItems.flatMap((item) => {
+        const change = cartChanges.find((c) => c.lineId === getLineId(item))
+        if (!change) return [item]
+        const current = getCurrentLine(item, latestProductsRef.current[item.id])
+        if (change.type === CART_CHANGE_TYPES.UNAVAILABLE || !current) return []
+        return [{ ...current, quantity: Math.min(item.quantity, change.quantity) }]
+      })
+    )
+    setCartChanges([])
+  }
+
+  /**
+   * Applies a promo code returned by promotionService.validate
+   * Replaces any code already applied (one code per cart)
+   * @param validatedPromotion - { code, type, value, minSubtotal, description }
+   */
+  const applyPromotion = (validatedPromotion) => {
+    setPromotion(validatedPromotion)
+  }
+
+  /**
+   * Removes the applied promo code
+   */
+  const removePromotion = () => {
+    setPromotion(null)
   }
 
   /**
@@ -181,6 +308,16 @@ export const CartProvider = ({ children }) => {
         clearCart,
         getCartTotal,
         getCartItemsCount,
+        shippingMethod,
+        setShippingMethod,
+        promotion,
+        applyPromotion,
+        removePromotion,
+        cartChanges,
+        validatingCart,
+        cartLoadId,
+        revalidateCart,
+        acceptCartChanges,
       }}
     >
       {children}
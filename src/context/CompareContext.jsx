@@ -0,0 +1,77 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+
+// Products that fit side by side on the compare page
+export const MAX_COMPARE = 4
+
+// The compare list is a browsing aid, not account data, so it isn't kept per user or on the server
+const STORAGE_KEY = 'compare_products'
+
+const CompareContext = createContext()
+
+export const useCompare = () => {
+  const context = useContext(CompareContext)
+  if (!context) {
+    throw new Error('useCompare must be used within a CompareProvider')
+  }
+  return context
+}
+
+/**
+ * CompareProvider - Products picked for the side-by-side comparison (/compare)
+ *
+ * WHAT IT DOES:
+ * - Keeps up to MAX_COMPARE small product snapshots ({ id, name, imageUrl }) in localStorage;
+ *   the compare page loads the full, current products itself
+ * - Exposes add/remove/toggle helpers for the card toggle and the compare tray
+ */
+export const CompareProvider = ({ children }) => {
+  const [compareItems, setCompareItems] = useState(() => {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+      return Array.isArray(items) ? items.slice(0, MAX_COMPARE) : []
+    } catch {
+      return []
+    }
+  })
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(compareItems))
+  }, [compareItems])
+
+  const isInCompare = (productId) => compareItems.some((item) => String(item.id) === String(productId))
+
+  const isCompareFull = () => compareItems.length >= MAX_COMPARE
+
+  /**
+   * addToCompare - Adds a product unless it's already there or the list is full
+   * @param {Object} product - Product
+   * @returns {boolean} false when the list is full
+   */
+  const addToCompare = (product) => {
+    if (isInCompare(product.id)) return true
+    if (isCompareFull()) return false
+    setCompareItems((prev) => [...prev, { id: product.id, name: product.name, imageUrl: product.imageUrl }])
+    return true
+  }
+
+  const removeFromCompare = (productId) => {
+    setCompareItems((prev) => prev.filter((item) => String(item.id) !== String(productId)))
+  }
+
+  const clearCompare = () => setCompareItems([])
+
+  return (
+    <CompareContext.Provider
+      value={{
+        compareItems,
+        isInCompare,
+        isCompareFull,
+        addToCompare,
+        removeFromCompare,
+        clearCompare,
+      }}
+    >
+      {children}
+    </CompareContext.Provider>
+  )
+}
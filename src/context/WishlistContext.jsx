@@ -0,0 +1,87 @@
+import { createContext, useContext } from 'react'
+import { useSyncedList } from './useSyncedList'
+import { wishlistService } from '../services/api'
+import { toWishlistItem, fromServerWishlist, mergeWishlists } from '../utils/wishlist'
+
+const WishlistContext = createContext()
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext)
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider')
+  }
+  return context
+}
+
+/**
+ * WishlistProvider - Products saved for later, next to the cart
+ *
+ * WHAT IT DOES:
+ * - Keeps the wishlist in localStorage under wishlist_user_<id> / wishlist_guest (like carts)
+ * - For logged-in users loads the server wishlist, merges the guest list into it on login
+ *   and saves changes back (debounced) - see useSyncedList, shared with CartContext
+ * - Exposes add/remove/toggle helpers; moving to and from the cart is done by the pages
+ *   with CartContext (Cart "Save for later", Wishlist "Move to cart")
+ */
+export const WishlistProvider = ({ children }) => {
+  // Same storage and sync rules as the cart: guest items are merged in, pushed, and the guest list cleared
+  const { items: wishlistItems, setItems: setWishlistItems } = useSyncedList('wishlist', {
+    load: async (userId) => fromServerWishlist((await wishlistService.get(userId)).data),
+    save: (userId, items) => wishlistService.replace(userId, items.map((item) => item.id)),
+    merge: mergeWishlists,
+  })
+
+  /**
+   * Checks whether a product is on the wishlist
+   * @param productId - Product ID
+   * @return true if saved
+   */
+  const isInWishlist = (productId) => wishlistItems.some((item) => item.id === productId)
+
+  /**
+   * Saves a product (or cart item) to the wishlist; does nothing if it's already there
+   * @param product - Product snapshot
+   */
+  const addToWishlist = (product) => {
+    setWishlistItems((prevItems) =>
+      prevItems.some((item) => item.id === product.id) ? prevItems : [...prevItems, toWishlistItem(product)]
+    )
+  }
+
+  /**
+   * Removes a product from the wishlist
+   * @param productId - Product ID
+   */
+  const removeFromWishlist = (productId) => {
+    setWishlistItems((prevItems) => prevItems.filter((item) => item.id !== productId))
+  }
+
+  /**
+   * Adds the product if it isn't saved, removes it if it is (heart button)
+   * @param product - Product snapshot
+   * @return true if the product is now on the wishlist
+   */
+  const toggleWishlist = (product) => {
+    if (isInWishlist(product.id)) {
+      removeFromWishlist(product.id)
+      return false
+    }
+    addToWishlist(product)
+    return true
+  }
+
+  return (
+    <WishlistContext.Provider
+      value={{
+        wishlistItems,
+        isInWishlist,
+        addToWishlist,
+        removeFromWishlist,
+        toggleWishlist,
+        getWishlistCount: () => wishlistItems.length,
+      }}
+    >
+      {children}
+    </WishlistContext.Provider>
+  )
+}
@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react'
+import { useAuth } from './AuthContext'
+
+// Wait this long after the last change before saving the list to the server
+const SERVER_SYNC_DELAY_MS = 500
+
+/**
+ * readStoredList - Items saved under a localStorage key
+ * @param {string} key - Storage key (e.g. 'cart_guest')
+ * @returns {Array} Items, empty when missing or unreadable
+ */
+const readStoredList = (key) => {
+  try {
+    const items = JSON.parse(localStorage.getItem(key) || '[]')
+    return Array.isArray(items) ? items : []
+  } catch (e) {
+    return []
+  }
+}
+
+// Marks a per-user list that has changes the server hasn't confirmed yet (<storage key>_unsynced)
+const isUnsynced = (key) => localStorage.getItem(`${key}_unsynced`) === '1'
+const setUnsynced = (key, unsynced) => {
+  try {
+    if (unsynced) localStorage.setItem(`${key}_unsynced`, '1')
+    else localStorage.removeItem(`${key}_unsynced`)
+  } catch (e) {
+    // ignore storage errors
+  }
+}
+
+/**
+ * useSyncedList - Per-user list kept in localStorage and synced with the server
+ * Shared by CartContext and WishlistContext
+ *
+ * WHAT IT DOES:
+ * - Keeps the list in localStorage under <name>_user_<id> / <name>_guest
+ * - For a logged-in user shows the local copy first, then replaces it with the server list,
+ *   unless the local copy has changes the server never confirmed (then the local copy is pushed)
+ * - Merges the guest list into the user's list on login, pushes the result and clears the guest list
+ * - Saves later changes to the server (debounced, so quick +/- clicks send one request)
+ * - Reloads when another tab changes the same list (that tab has already saved it to the server)
+ *
+ * FLOW:
+ * 1. Auth finishes loading or the user changes → local copy loaded, onLoad()
+ * 2. Logged in → server.load(userId):
+ *    - local copy in sync, guest list empty → server list replaces the local copy
+ *    - local copy has unsynced changes → it wins over the server list and is pushed
+ *    - guest list has items → server.merge(server or unsynced local list, guestItems), pushed,
+ *      guest list cleared
+ *    - server unreachable → keep the local copy; changes stay marked unsynced and are pushed
+ *      by the next successful load
+ *    then onLoad()
+ * 3. Any other change to the items → saved locally and marked unsynced, then
+ *    server.save(userId, items); the mark is cleared once the server accepts the latest items
+ *
+ * PARAMETERS:
+ * @param {string} name - Storage key prefix ('cart', 'wishlist')
+ * @param {Object} server - { load(userId): Promise<Array>, save(userId, items): Promise, merge(serverItems, guestItems): Array }
+ * @param {Object} options - legacyKey: key of an older single-user list migrated into an empty one;
+ *   onLoad: called after the items were replaced from storage or the server
+ *
+ * RETURNS:
+ * - { items, setItems, storageKey, storageKeyRef } - storageKeyRef holds the key the current
+ *   items were loaded from (null until the first load), for data stored next to the list
+ */
+export const useSyncedList = (name, server, { legacyKey = null, onLoad = () => {} } = {}) => {
+  const [items, setItems] = useState([])
+  const { user, loading: authLoading } = useAuth()
+
+  // Per-user storage key; changes whenever the logged-in user changes
+  const guestKey = `${name}_guest`
+  const storageKey = user && user.id ? `${name}_user_${user.id}` : guestKey
+  // Key the current items were loaded from (null until the first load)
+  const storageKeyRef = useRef(null)
+  // true once the logged-in user's server list has been loaded; only then are changes pushed
+  const serverReadyRef = useRef(false)
+  // Set when items were just replaced from storage/server, so that change isn't pushed back
+  const skipServerSyncRef = useRef(false)
+  // Incremented per local change, so only a save of the latest items clears the unsynced mark
+  const changeIdRef = useRef(0)
+
+  /**
+   * Loads the list for the current user from local storage, then from the server
+   * Runs on mount and again after login/logout switches the storage key
+   */
+  useEffect(() => {
+    // Wait for AuthContext so a logged-in user doesn't briefly see the guest list
+    if (authLoading) return
+
+    const loadFromStorage = () => {
+      // Migrate the legacy key if present and the per-user key is empty
+      if (legacyKey && !localStorage.getItem(storageKey) && localStorage.getItem(legacyKey)) {
+        try {
+          localStorage.setItem(storageKey, localStorage.getItem(legacyKey))
+          localStorage.removeItem(legacyKey)
+        } catch (e) {
+          // ignore storage errors
+        }
+      }
+      setItems(readStoredList(storageKey))
+    }
+
+    let cancelled = false
+    const loadFromServer = async () => {
+      try {
+        const serverItems = await server.load(user.id)
+        if (cancelled) return
+        serverReadyRef.current = true
+        const guestItems = readStoredList(guestKey)
+        if (guestItems.length === 0 && !isUnsynced(storageKey)) {
+          skipServerSyncRef.current = true
+          setItems(serverItems)
+        } else {
+          // A new array either way, so the save effect pushes the result
+          setItems((localItems) => {
+            const baseItems = isUnsynced(storageKey) ? localItems : serverItems
+            return guestItems.length > 0 ? server.merge(baseItems, guestItems) : [...baseItems]
+          })
+          localStorage.removeItem(guestKey)
+        }
+        onLoad()
+      } catch (e) {
+        console.error(`Error loading server ${name}:`, e)
+      }
+    }
+
+    storageKeyRef.current = storageKey
+    serverReadyRef.current = false
+    skipServerSyncRef.current = true
+    loadFromStorage()
+    onLoad()
+    if (user && user.id) {
+      loadFromServer()
+    }
+
+    const onStorage = (e) => {
+      if (e.key === storageKey || (legacyKey && e.key === legacyKey)) {
+        skipServerSyncRef.current = true
+        loadFromStorage()
+      }
+    }
+    window.addEventListener('storage', onStorage)
+    return () => {
+      cancelled = true
+      window.removeEventListener('storage', onStorage)
+    }
+  }, [storageKey, authLoading])
+
+  /**
+   * Saves the items to local storage whenever they change
+   */
+  useEffect(() => {
+    // Nothing loaded yet - don't overwrite the stored list with the initial empty array
+    if (!storageKeyRef.current) return
+    try {
+      localStorage.setItem(storageKeyRef.current, JSON.stringify(items))
+    } catch (e) {
+      // ignore storage errors
+    }
+  }, [items])
+
+  /**
+   * Saves a logged-in user's list to the server shortly after it changes
+   */
+  useEffect(() => {
+    if (skipServerSyncRef.current) {
+      skipServerSyncRef.current = false
+      return
+    }
+    if (!user || !user.id) return
+    const key = storageKeyRef.current
+    const changeId = ++changeIdRef.current
+    setUnsynced(key, true)
+    if (!serverReadyRef.current) return
+    const id = setTimeout(() => {
+      server
+        .save(user.id, items)
+        .then(() => {
+          // A newer change is still on its way; it clears the mark when it lands
+          if (changeId === changeIdRef.current) setUnsynced(key, false)
+        })
+        .catch((e) => {
+          console.error(`Error saving server ${name}:`, e)
+        })
+    }, SERVER_SYNC_DELAY_MS)
+    return () => clearTimeout(id)
+  }, [items])
+
+  return { items, setItems, storageKey, storageKeyRef }
+}
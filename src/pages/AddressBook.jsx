@@ -0,0 +1,214 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { addressService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatAddress } from '../utils/addresses'
+import AddressFields from '../components/AddressFields'
+import { toast } from 'react-toastify'
+
+const emptyAddress = { label: '', name: '', email: '', address: '', city: '', zipCode: '', region: '', country: 'US', isDefault: false }
+
+/**
+ * AddressBook Component - Manage saved shipping addresses
+ *
+ * WHAT IT DOES:
+ * - Lists the user's saved addresses with the default marked
+ * - Adds, edits and deletes addresses
+ * - Marks one address as the default (preselected at checkout)
+ *
+ * FLOW:
+ * 1. Component mounts → addressService.getAll(user.id)
+ * 2. User submits the form → create or update → list is refreshed
+ * 3. User clicks "Make default" / "Delete" → list is refreshed
+ *
+ * RETURNS:
+ * - JSX with the address list and add/edit form
+ */
+const AddressBook = () => {
+  const { user } = useAuth()
+  const [addresses, setAddresses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(emptyAddress)
+
+  const fetchAddresses = async () => {
+    try {
+      const response = await addressService.getAll(user.id)
+      setAddresses(response.data)
+    } catch (error) {
+      console.error('Error fetching addresses:', error)
+      toast.error('Failed to load your addresses')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchAddresses()
+  }, [user.id])
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value })
+  }
+
+  const handleAddClick = () => {
+    // First address becomes the default automatically
+    setFormData({ ...emptyAddress, name: user.name || '', email: user.email || '', isDefault: addresses.length === 0 })
+    setEditingId(null)
+    setShowForm(true)
+  }
+
+  const handleEditClick = (address) => {
+    setFormData({ ...emptyAddress, ...address })
+    setEditingId(address.id)
+    setShowForm(true)
+  }
+
+  const handleCancel = () => {
+    setShowForm(false)
+    setEditingId(null)
+    setFormData(emptyAddress)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      if (editingId) {
+        await addressService.update(user.id, editingId, formData)
+        toast.success('Address updated!')
+      } else {
+        await addressService.create(user.id, formData)
+        toast.success('Address saved!')
+      }
+      handleCancel()
+      fetchAddresses()
+    } catch (error) {
+      toast.error('Failed to save address: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const handleSetDefault = async (addressId) => {
+    try {
+      await addressService.setDefault(user.id, addressId)
+      fetchAddresses()
+    } catch (error) {
+      toast.error('Failed to update default address: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const handleDelete = async (addressId) => {
+    if (!window.confirm('Delete this address?')) {
+      return
+    }
+    try {
+      await addressService.delete(user.id, addressId)
+      toast.success('Address deleted!')
+      fetchAddresses()
+    } catch (error) {
+      toast.error('Failed to delete address: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link to="/profile" className="text-indigo-600 hover:underline text-sm">
+        ← Back to My Profile
+      </Link>
+      <div className="flex justify-between items-center mt-4 mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Address Book</h1>
+        {!showForm && (
+          <button
+            onClick={handleAddClick}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+          >
+            Add Address
+          </button>
+        )}
+      </div>
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-4">
+          <h2 className="text-xl font-bold text-gray-800">{editingId ? 'Edit Address' : 'New Address'}</h2>
+          <div>
+            <label className="block text-gray-700 font-semibold mb-2">Label (optional)</label>
+            <input
+              type="text"
+              name="label"
+              value={formData.label || ''}
+              onChange={handleChange}
+              placeholder="Home, Work..."
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+            />
+          </div>
+          <AddressFields value={formData} onChange={handleChange} />
+          <label className="inline-flex items-center">
+            <input
+              type="checkbox"
+              name="isDefault"
+              checked={Boolean(formData.isDefault)}
+              onChange={handleChange}
+              className="mr-2"
+            />
+            Use as my default address
+          </label>
+          <div className="flex items-center gap-3">
+            <button type="submit" className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition">
+              {editingId ? 'Update Address' : 'Save Address'}
+            </button>
+            <button type="button" onClick={handleCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Saved Addresses */}
+      {addresses.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No saved addresses yet</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {addresses.map((address) => (
+            <div
+              key={address.id}
+              className={`bg-white rounded-lg shadow-md p-6 border-2 ${address.isDefault ? 'border-indigo-600' : 'border-transparent'}`}
+            >
+              <div className="flex justify-between items-start mb-2">
+                <p className="font-semibold text-gray-800">{address.label || address.name}</p>
+                {address.isDefault && (
+                  <span className="text-xs bg-indigo-100 text-indigo-800 px-2 py-1 rounded-full font-semibold">Default</span>
+                )}
+              </div>
+              <p className="text-gray-600 text-sm mb-4">{formatAddress(address)}</p>
+              <div className="flex gap-2 text-sm">
+                <button onClick={() => handleEditClick(address)} className="text-indigo-600 hover:underline">
+                  Edit
+                </button>
+                {!address.isDefault && (
+                  <button onClick={() => handleSetDefault(address.id)} className="text-indigo-600 hover:underline">
+                    Make default
+                  </button>
+                )}
+                <button onClick={() => handleDelete(address.id)} className="text-red-600 hover:underline">
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AddressBook
@@ -1,6 +1,8 @@
 import { useEffect, useState } from 'react'
 import { adminService } from '../services/api'
 import { toast } from 'react-toastify'
+import { useAuth } from '../context/AuthContext'
+import MerchandisingManager from '../components/MerchandisingManager'
 
 /**
  * AdminDashboard Component - Admin control panel for managing users and sellers
@@ -10,6 +12,7 @@ import { toast } from 'react-toastify'
  * - Lists all users in the system
  * - Allows admin to create, update, and delete users
  * - Allows admin to change user roles
+ * - Manages the home page sections (MerchandisingManager)
  * 
  * FLOW:
  * 1. Component mounts → fetches statistics and users
@@ -21,6 +24,9 @@ import { toast } from 'react-toastify'
  * - JSX with statistics cards, user management table, and action buttons
  */
 const AdminDashboard = () => {
+  // Logged-in admin; updated when they change their own role
+  const { user: currentUser, updateUser } = useAuth()
+
   // State to store system statistics
   // Initial: null, After API: object with counts
   const [statistics, setStatistics] = useState(null)
@@ -135,6 +141,10 @@ const AdminDashboard = () => {
       await adminService.updateUserRole(userId, newRole)
       // Show success notification
       toast.success('User role updated!')
+      // Admin changed their own role → update session so route guards re-check
+      if (currentUser && userId === currentUser.id) {
+        updateUser({ ...currentUser, role: newRole })
+      }
       // Refresh user list to show updated role
       const usersResponse = await adminService.getAllUsers()
       setUsers(usersResponse.data)
@@ -211,6 +221,9 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {/* Home page sections (hero banners, collections, best sellers...) */}
+      <MerchandisingManager />
+
       {/* User Management Section */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex justify-between items-center mb-6">
@@ -1,6 +1,16 @@
+import { useEffect } from 'react'
 import { useCart } from '../context/CartContext'
+import { useWishlist } from '../context/WishlistContext'
 import { Link, useNavigate } from 'react-router-dom'
-import { FaTrash, FaPlus, FaMinus } from 'react-icons/fa'
+import { FaTrash, FaPlus, FaMinus, FaHeart } from 'react-icons/fa'
+import { calculateOrderSummary } from '../pricing'
+import { getShippingOptions } from '../pricing/shipping'
+import ShippingMethodSelector from '../components/ShippingMethodSelector'
+import OrderSummaryLines from '../components/OrderSummaryLines'
+import PromoCodeForm from '../components/PromoCodeForm'
+import CartChangesNotice from '../components/CartChangesNotice'
+import { getMaxQuantity } from '../utils/cart'
+import { getLineId } from '../utils/variants'
 
 /**
  * Cart Component - Displays shopping cart with all items and order summary
@@ -8,12 +18,13 @@ import { FaTrash, FaPlus, FaMinus } from 'react-icons/fa'
  * WHAT IT DOES:
  * - Shows all items currently in the shopping cart
  * - Allows users to increase/decrease item quantities
- * - Allows users to remove items from cart
+ * - Allows users to remove items from cart, or save them for later (moves to the wishlist)
  * - Displays order summary with subtotal, shipping, and total
+ * - Re-checks prices and stock when opened; checkout waits until changes are accepted
  * - Provides button to proceed to checkout
  * 
  * FLOW:
- * 1. Component renders → gets cart items from CartContext
+ * 1. Component renders → gets cart items from CartContext → revalidateCart() once they have loaded
  * 2. If cart empty → shows empty cart message
  * 3. If cart has items → displays cart items and order summary
  * 4. User can modify quantities or remove items
@@ -27,12 +38,43 @@ const Cart = () => {
   // cartItems: array of products in cart with quantities
   // removeFromCart: function to remove a product from cart
   // updateQuantity: function to change quantity of a product
-  // getCartTotal: function that returns total price of all items
-  const { cartItems, removeFromCart, updateQuantity, getCartTotal } = useCart()
+  // getCartTotal: function that returns total price of all items (subtotal)
+  // shippingMethod: selected shipping method id (shared with Checkout)
+  // promotion: applied promo code (entered through PromoCodeForm)
+  // cartChanges / validatingCart: price and stock changes pending acceptance, check in progress
+  const {
+    cartItems,
+    removeFromCart,
+    updateQuantity,
+    getCartTotal,
+    shippingMethod,
+    setShippingMethod,
+    promotion,
+    cartChanges,
+    validatingCart,
+    cartLoadId,
+    revalidateCart,
+  } = useCart()
+  const { addToWishlist } = useWishlist()
   
   // Navigation hook to programmatically navigate to different pages
   const navigate = useNavigate()
 
+  /**
+   * Moves a cart item to the wishlist ("Save for later")
+   * @param item - Cart item
+   */
+  const handleSaveForLater = (item) => {
+    addToWishlist(item)
+    removeFromCart(getLineId(item))
+  }
+
+  // Snapshots may be stale: re-check current prices and stock once the cart has loaded
+  // (and again if the server cart replaces the local copy)
+  useEffect(() => {
+    if (cartLoadId > 0) revalidateCart()
+  }, [cartLoadId])
+
   /**
    * Early Return - Handles empty cart scenario
    * 
@@ -62,20 +104,28 @@ const Cart = () => {
         >
           Continue Shopping
         </Link>
+        <Link to="/wishlist" className="block mt-6 text-indigo-600 hover:underline">
+          View items saved for later
+        </Link>
       </div>
     )
   }
   // If cart has items, continue rendering cart content below
 
+  // Destination isn't known until checkout, so shipping is priced for the home zone
+  const summary = calculateOrderSummary({ items: cartItems, shippingMethod, promotion })
+  const shippingOptions = getShippingOptions({ items: cartItems, subtotal: getCartTotal() })
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold text-gray-800 mb-8">Shopping Cart</h1>
-      
+      <CartChangesNotice />
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         <div className="lg:col-span-2">
           <div className="bg-white rounded-lg shadow-md overflow-hidden">
             {cartItems.map((item) => (
-              <div key={item.id} className="p-6 border-b border-gray-200 last:border-b-0">
+              <div key={getLineId(item)} className="p-6 border-b border-gray-200 last:border-b-0">
                 <div className="flex items-center space-x-4">
                   <img
                     src={item.imageUrl || 'https://via.placeholder.com/100'}
@@ -84,26 +134,39 @@ const Cart = () => {
                   />
                   <div className="flex-1">
                     <h3 className="text-lg font-semibold text-gray-800">{item.name}</h3>
+                    {item.variantLabel && <p className="text-sm text-gray-600">{item.variantLabel}</p>}
                     <p className="text-indigo-600 font-bold text-xl">${item.price}</p>
+                    {item.quantity >= getMaxQuantity(item) && (
+                      <p className="text-sm text-orange-600">Only {getMaxQuantity(item)} in stock</p>
+                    )}
                   </div>
                   <div className="flex items-center space-x-4">
                     <div className="flex items-center space-x-2">
                       <button
-                        onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                        onClick={() => updateQuantity(getLineId(item), item.quantity - 1)}
                         className="p-2 hover:bg-gray-100 rounded"
                       >
                         <FaMinus />
                       </button>
                       <span className="text-lg font-semibold w-8 text-center">{item.quantity}</span>
                       <button
-                        onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                        className="p-2 hover:bg-gray-100 rounded"
+                        onClick={() => updateQuantity(getLineId(item), item.quantity + 1)}
+                        disabled={item.quantity >= getMaxQuantity(item)}
+                        className="p-2 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
                       >
                         <FaPlus />
                       </button>
                     </div>
                     <button
-                      onClick={() => removeFromCart(item.id)}
+                      onClick={() => handleSaveForLater(item)}
+                      title="Save for later"
+                      aria-label="Save for later"
+                      className="p-2 text-gray-600 hover:text-red-500 hover:bg-gray-100 rounded"
+                    >
+                      <FaHeart />
+                    </button>
+                    <button
+                      onClick={() => removeFromCart(getLineId(item))}
                       className="p-2 text-red-600 hover:bg-red-50 rounded"
                     >
                       <FaTrash />
@@ -118,29 +181,21 @@ const Cart = () => {
         <div className="lg:col-span-1">
           <div className="bg-white rounded-lg shadow-md p-6 sticky top-20">
             <h2 className="text-2xl font-bold text-gray-800 mb-4">Order Summary</h2>
-            <div className="space-y-2 mb-4">
-              <div className="flex justify-between">
-                <span className="text-gray-600">Subtotal</span>
-                <span className="font-semibold">${getCartTotal().toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-600">Shipping</span>
-                <span className="font-semibold">$10.00</span>
-              </div>
-              <div className="border-t pt-2 mt-2">
-                <div className="flex justify-between">
-                  <span className="text-xl font-bold">Total</span>
-                  <span className="text-xl font-bold text-indigo-600">
-                    ${(getCartTotal() + 10).toFixed(2)}
-                  </span>
-                </div>
-              </div>
+            <div className="mb-4">
+              <ShippingMethodSelector options={shippingOptions} value={shippingMethod} onChange={setShippingMethod} />
+            </div>
+            <div className="mb-4">
+              <PromoCodeForm />
+            </div>
+            <div className="mb-4">
+              <OrderSummaryLines summary={summary} estimate />
             </div>
             <button
               onClick={() => navigate('/checkout')}
-              className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+              disabled={validatingCart || cartChanges.length > 0}
+              className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
             >
-              Proceed to Checkout
+              {validatingCart ? 'Checking availability...' : 'Proceed to Checkout'}
             </button>
             <Link
               to="/products"
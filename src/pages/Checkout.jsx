@@ -1,27 +1,181 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { useCart } from '../context/CartContext'
-import { useNavigate } from 'react-router-dom'
-import { orderService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { orderService, addressService, productService } from '../services/api'
+import { toShippingInfo, SHIPPING_FIELDS } from '../utils/addresses'
+import AddressPicker from '../components/AddressPicker'
+import AddressFields from '../components/AddressFields'
+import PaymentMethodSelector from '../components/PaymentMethodSelector'
+import ShippingMethodSelector from '../components/ShippingMethodSelector'
+import OrderSummaryLines from '../components/OrderSummaryLines'
+import CartChangesNotice from '../components/CartChangesNotice'
+import { getLineId } from '../utils/variants'
+import { setCartCheckoutOrder } from '../utils/cartCheckout'
+import { getCartChanges, getCurrentLine, CART_CHANGE_TYPES } from '../utils/cart'
+import {
+  getExpressCheckout,
+  updateExpressCheckoutItems,
+  setExpressCheckoutOrder,
+  endExpressCheckout,
+} from '../utils/expressCheckout'
+import { calculateOrderSummary } from '../pricing'
+import { getShippingOptions, DEFAULT_SHIPPING_METHOD } from '../pricing/shipping'
+import { getPaymentProviders } from '../payments'
+import { usePaymentFlow } from '../payments/usePaymentFlow'
 import { toast } from 'react-toastify'
 
+/**
+ * Checkout Component - Shipping, payment and order placement
+ *
+ * WHAT IT DOES:
+ * - Normally checks out the cart (re-validated on entry; changes must be accepted first)
+ * - With ?mode=express checks out the "Buy Now" session instead (utils/expressCheckout):
+ *   only that product and quantity, without reading or changing the cart, and without the
+ *   cart's promo code or shipping choice. Price or stock changes are applied to the session
+ *   with a warning.
+ */
 const Checkout = () => {
-  const { cartItems, getCartTotal, clearCart } = useCart()
+  const {
+    cartItems,
+    shippingMethod: cartShippingMethod,
+    setShippingMethod: setCartShippingMethod,
+    promotion,
+    cartChanges,
+    validatingCart,
+    cartLoadId,
+    revalidateCart,
+  } = useCart()
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const isExpress = searchParams.get('mode') === 'express'
+  // Items of the express session; the cart is not used in express mode
+  const [expressItems, setExpressItems] = useState(() => (isExpress ? getExpressCheckout()?.items || [] : []))
+  const [validatingExpress, setValidatingExpress] = useState(isExpress)
+  // Shipping method picked for the express order; the cart keeps its own choice
+  const [expressShippingMethod, setExpressShippingMethod] = useState(DEFAULT_SHIPPING_METHOD)
+  const items = isExpress ? expressItems : cartItems
+  const shippingMethod = isExpress ? expressShippingMethod : cartShippingMethod
+  const setShippingMethod = isExpress ? setExpressShippingMethod : setCartShippingMethod
+  // The cart's promo code belongs to the cart
+  const activePromotion = isExpress ? null : promotion
+  // Order can't be placed while availability is being checked or cart changes are unaccepted
+  const validating = isExpress ? validatingExpress : validatingCart
+  const blocked = validating || (!isExpress && cartChanges.length > 0)
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     address: '',
     city: '',
     zipCode: '',
-    cardNumber: '',
-    expiryDate: '',
-    cvv: '',
+    region: '',
+    country: 'US',
   })
+  // Selected payment provider and its extra details; card data never enters this state
+  const [paymentMethod, setPaymentMethod] = useState(getPaymentProviders()[0].id)
+  const [paymentDetails, setPaymentDetails] = useState({})
+  const [placingOrder, setPlacingOrder] = useState(false)
+  const { pay, processing } = usePaymentFlow()
+
+  const { user } = useAuth()
+  // Saved addresses; selectedAddressId is an address id or 'new' for a typed-in address
+  const [addresses, setAddresses] = useState([])
+  const [selectedAddressId, setSelectedAddressId] = useState('new')
+  const [saveAddress, setSaveAddress] = useState(false)
+
+  /**
+   * Re-checks prices and stock; the order can't be placed until changes are accepted
+   * Waits for the cart to load (a direct link or reload gets here first) and runs again
+   * if the server cart replaces the local copy
+   */
+  useEffect(() => {
+    if (!isExpress && cartLoadId > 0) revalidateCart()
+  }, [isExpress, cartLoadId])
+
+  // Express items are checked here instead, and changes are applied right away
+  useEffect(() => {
+    if (isExpress) validateExpressItems()
+  }, [isExpress])
+
+  /**
+   * Fetches the express products again and applies price/stock changes to the session
+   * Lines that can no longer be bought are dropped; each change is shown as a toast
+   */
+  const validateExpressItems = async () => {
+    const sessionItems = getExpressCheckout()?.items || []
+    setValidatingExpress(true)
+    const results = await Promise.allSettled(sessionItems.map((item) => productService.getById(item.id)))
+    // Same shape revalidateCart uses: null = product gone, missing = couldn't be checked
+    const currentProducts = {}
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') currentProducts[sessionItems[index].id] = result.value.data
+      else if (result.reason?.response?.status === 404) currentProducts[sessionItems[index].id] = null
+    })
+    const changes = getCartChanges(sessionItems, currentProducts)
+    if (changes.length > 0) {
+      const updated = sessionItems
+        .map((item) => {
+          const change = changes.find((c) => c.lineId === getLineId(item))
+          if (!change) return item
+          if (change.type === CART_CHANGE_TYPES.UNAVAILABLE) return null
+          return { ...item, ...getCurrentLine(item, currentProducts[item.id]), quantity: change.quantity }
+        })
+        .filter(Boolean)
+      changes.forEach((change) => {
+        if (change.type === CART_CHANGE_TYPES.UNAVAILABLE) toast.error(`${change.name} is no longer available`)
+        else if (change.type === CART_CHANGE_TYPES.QUANTITY) toast.warn(`Only ${change.quantity} of ${change.name} available - quantity updated`)
+        else toast.warn(`The price of ${change.name} changed from $${Number(change.previousPrice).toFixed(2)} to $${Number(change.price).toFixed(2)}`)
+      })
+      updateExpressCheckoutItems(updated)
+      setExpressItems(updated)
+    } else {
+      setExpressItems(sessionItems)
+    }
+    setValidatingExpress(false)
+  }
+
+  /**
+   * Loads the address book and prefills shipping info from the default address
+   */
+  useEffect(() => {
+    const fetchAddresses = async () => {
+      try {
+        const response = await addressService.getAll(user.id)
+        setAddresses(response.data)
+        const preferred = response.data.find((address) => address.isDefault) || response.data[0]
+        if (preferred) {
+          handleSelectAddress(preferred)
+        }
+      } catch (error) {
+        // Checkout still works with a typed-in address
+        console.error('Error fetching addresses:', error)
+      }
+    }
+    fetchAddresses()
+  }, [user.id])
+
+  /**
+   * Fills the shipping fields from a saved address, or clears them for a new one
+   * @param address - Saved address, or null for "Use a new address"
+   */
+  const handleSelectAddress = (address) => {
+    setSelectedAddressId(address ? address.id : 'new')
+    setFormData((prev) => ({ ...prev, ...toShippingInfo(address), country: address?.country || 'US' }))
+  }
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value })
+    // Editing a saved address turns it into a new address that can be saved separately
+    if (SHIPPING_FIELDS.includes(e.target.name) && selectedAddressId !== 'new') {
+      setSelectedAddressId('new')
+    }
   }
 
+  // Totals shown in the summary and sent with the order
+  // Shipping is priced for the entered zip code, tax for the entered region and country
+  const summary = calculateOrderSummary({ items, shippingMethod, destination: formData, promotion: activePromotion })
+  const shippingOptions = getShippingOptions({ items, subtotal: summary.subtotal, zipCode: formData.zipCode })
+
   /**
    * Handles form submission when user clicks "Place Order" button
    * @param e - Form submit event
@@ -31,47 +185,92 @@ const Checkout = () => {
     e.preventDefault()
     
     // Check if cart has any items before proceeding with checkout
-    if (cartItems.length === 0) {
+    if (items.length === 0) {
       // If cart is empty, show error message and stop order processing
       toast.error('Your cart is empty!')
       return // Exit function early, don't proceed with order creation
     }
     // If cart has items, continue with order creation
 
+    if (blocked) {
+      toast.error('Please review the changes to your cart first.')
+      return
+    }
+
+    setPlacingOrder(true)
+    let createdOrder
     try {
       // Prepare order data object to send to backend
+      // The order waits in PENDING_PAYMENT until the provider reports success
+      // Amounts come from the same summary shown on screen; the backend re-checks them
       const order = {
-        items: cartItems, // All products in the cart
-        total: getCartTotal() + 10, // Cart total + $10 shipping fee
-        shippingInfo: {
-          // Extract shipping information from form data
-          name: formData.name,
-          email: formData.email,
-          address: formData.address,
-          city: formData.city,
-          zipCode: formData.zipCode,
-        },
+        items, // All products in the cart (or the Buy Now item)
+        subtotal: summary.subtotal,
+        shippingMethod: summary.shipping.method.id,
+        shippingCost: summary.shipping.cost,
+        // Promo code is sent so the backend can re-validate it and recompute the discounts
+        promoCode: summary.discounts.length > 0 ? activePromotion.code : null,
+        discounts: summary.discounts,
+        discountTotal: summary.discountTotal,
+        total: summary.total,
+        status: 'PENDING_PAYMENT',
+        paymentMethod,
+        // Tax breakdown as shown in the summary (rates per line, included vs added)
+        tax: summary.tax,
+        // Extract shipping information from form data
+        shippingInfo: toShippingInfo(formData),
       }
 
       // Send order to backend API to create the order in database
-      await orderService.create(order)
-      // If order created successfully, clear the cart from local storage
-      clearCart()
-      // Show success notification to the user
-      toast.success('Order placed successfully!')
-      // Redirect user to home page after successful order
-      navigate('/')
+      const response = await orderService.create(order)
+      createdOrder = response.data
+      // Tells usePaymentFlow whether paying this order empties the cart
+      if (isExpress) setExpressCheckoutOrder(createdOrder.id)
+      else setCartCheckoutOrder(createdOrder.id, cartItems)
+      // Save a newly entered address if the user asked for it (the order is already placed)
+      if (selectedAddressId === 'new' && saveAddress) {
+        try {
+          await addressService.create(user.id, { ...order.shippingInfo, isDefault: addresses.length === 0 })
+        } catch (error) {
+          toast.warn('Order placed, but the address could not be saved.')
+        }
+      }
     } catch (error) {
       // If order creation fails (network error, validation error, etc.),
       // log error to console for debugging
       console.error('Error placing order:', error)
       // Show error notification to the user
       toast.error('Failed to place order. Please try again.')
+      setPlacingOrder(false)
+      return
     }
+
+    // Run the payment step; usePaymentFlow clears the cart (or ends the express session) and navigates by outcome
+    await pay(createdOrder, paymentMethod, paymentDetails)
+  }
+
+  // Express session missing (e.g. opened in another tab) or its product sold out
+  if (isExpress && items.length === 0) {
+    if (validatingExpress) {
+      return (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      )
+    }
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Nothing to Check Out</h1>
+        <p className="text-gray-600 mb-8">This Buy Now checkout has expired. Your cart hasn't been changed.</p>
+        <Link to="/cart" className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition">
+          Go to Cart
+        </Link>
+      </div>
+    )
   }
 
   // Check if cart is empty before rendering checkout form
-  if (cartItems.length === 0) {
+  if (!isExpress && cartItems.length === 0) {
     // If cart is empty, show empty cart message instead of checkout form
     // This prevents users from trying to checkout with no items
     return (
@@ -91,121 +290,71 @@ const Checkout = () => {
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold text-gray-800 mb-8">Checkout</h1>
+      {isExpress ? (
+        <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+          <p className="text-indigo-800">Buy Now: only this item is ordered. Your cart won't be changed.</p>
+          <Link
+            to="/cart"
+            onClick={endExpressCheckout}
+            className="text-indigo-600 font-semibold hover:underline"
+          >
+            Cancel and return to cart
+          </Link>
+        </div>
+      ) : (
+        <CartChangesNotice />
+      )}
       
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         <div className="lg:col-span-2">
           <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-6">
             <h2 className="text-2xl font-bold text-gray-800 mb-4">Shipping Information</h2>
             
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">Full Name</label>
-                <input
-                  type="text"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                />
-              </div>
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">Email</label>
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                />
-              </div>
-            </div>
+            {/* Saved addresses (hidden when the address book is empty) */}
+            <AddressPicker addresses={addresses} selectedId={selectedAddressId} onSelect={handleSelectAddress} />
 
-            <div>
-              <label className="block text-gray-700 font-semibold mb-2">Address</label>
-              <input
-                type="text"
-                name="address"
-                value={formData.address}
-                onChange={handleChange}
-                required
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-              />
-            </div>
+            <AddressFields value={formData} onChange={handleChange} />
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">City</label>
+            {selectedAddressId === 'new' && (
+              <label className="inline-flex items-center">
                 <input
-                  type="text"
-                  name="city"
-                  value={formData.city}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+                  type="checkbox"
+                  checked={saveAddress}
+                  onChange={(e) => setSaveAddress(e.target.checked)}
+                  className="mr-2"
                 />
-              </div>
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">Zip Code</label>
-                <input
-                  type="text"
-                  name="zipCode"
-                  value={formData.zipCode}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                />
-              </div>
-            </div>
+                Save this address to my address book
+              </label>
+            )}
 
-            <h2 className="text-2xl font-bold text-gray-800 mt-8 mb-4">Payment Information</h2>
-            
-            <div>
-              <label className="block text-gray-700 font-semibold mb-2">Card Number</label>
-              <input
-                type="text"
-                name="cardNumber"
-                value={formData.cardNumber}
-                onChange={handleChange}
-                required
-                placeholder="1234 5678 9012 3456"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-              />
-            </div>
+            <h2 className="text-2xl font-bold text-gray-800 mt-8 mb-4">Shipping Method</h2>
 
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">Expiry Date</label>
-                <input
-                  type="text"
-                  name="expiryDate"
-                  value={formData.expiryDate}
-                  onChange={handleChange}
-                  required
-                  placeholder="MM/YY"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                />
-              </div>
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">CVV</label>
-                <input
-                  type="text"
-                  name="cvv"
-                  value={formData.cvv}
-                  onChange={handleChange}
-                  required
-                  placeholder="123"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                />
-              </div>
-            </div>
+            <ShippingMethodSelector options={shippingOptions} value={shippingMethod} onChange={setShippingMethod} />
+
+            <h2 className="text-2xl font-bold text-gray-800 mt-8 mb-4">Payment Method</h2>
+
+            <PaymentMethodSelector
+              value={paymentMethod}
+              onChange={(id) => {
+                setPaymentMethod(id)
+                setPaymentDetails({})
+              }}
+              details={paymentDetails}
+              onDetailsChange={setPaymentDetails}
+            />
 
             <button
               type="submit"
-              className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+              disabled={placingOrder || processing || blocked}
+              className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
             >
-              Place Order
+              {processing
+                ? 'Processing payment...'
+                : placingOrder
+                  ? 'Placing order...'
+                  : validating
+                    ? 'Checking availability...'
+                    : 'Place Order'}
             </button>
           </form>
         </div>
@@ -214,25 +363,17 @@ const Checkout = () => {
           <div className="bg-white rounded-lg shadow-md p-6 sticky top-20">
             <h2 className="text-2xl font-bold text-gray-800 mb-4">Order Summary</h2>
             <div className="space-y-2 mb-4">
-              {cartItems.map((item) => (
-                <div key={item.id} className="flex justify-between text-sm">
-                  <span>{item.name} x{item.quantity}</span>
+              {items.map((item) => (
+                <div key={getLineId(item)} className="flex justify-between text-sm">
+                  <span>
+                    {item.name}
+                    {item.variantLabel && ` (${item.variantLabel})`} x{item.quantity}
+                  </span>
                   <span>${(item.price * item.quantity).toFixed(2)}</span>
                 </div>
               ))}
               <div className="border-t pt-2 mt-2">
-                <div className="flex justify-between mb-2">
-                  <span className="text-gray-600">Subtotal</span>
-                  <span className="font-semibold">${getCartTotal().toFixed(2)}</span>
-                </div>
-                <div className="flex justify-between mb-2">
-                  <span className="text-gray-600">Shipping</span>
-                  <span className="font-semibold">$10.00</span>
-                </div>
-                <div className="flex justify-between text-xl font-bold pt-2 border-t">
-                  <span>Total</span>
-                  <span className="text-indigo-600">${(getCartTotal() + 10).toFixed(2)}</span>
-                </div>
+                <OrderSummaryLines summary={summary} estimate={!formData.zipCode} />
               </div>
             </div>
           </div>
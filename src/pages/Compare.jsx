@@ -0,0 +1,206 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FaTimes } from 'react-icons/fa'
+import { productService } from '../services/api'
+import { useCompare } from '../context/CompareContext'
+import StarRating from '../components/StarRating'
+
+/**
+ * getPriceLabel - Price, or the price range when variants are priced differently
+ * @param {Object} product - Product
+ * @returns {string}
+ */
+const getPriceLabel = (product) => {
+  const prices = (product.variants || []).map((variant) => Number(variant.price ?? product.price))
+  if (prices.length === 0) return `$${product.price}`
+  const min = Math.min(...prices)
+  const max = Math.max(...prices)
+  return min === max ? `$${min}` : `$${min} – $${max}`
+}
+
+const getStockLabel = (product) => {
+  if (product.stockQuantity === 0) return 'Out of stock'
+  return typeof product.stockQuantity === 'number' ? `${product.stockQuantity} in stock` : 'In stock'
+}
+
+/**
+ * buildRows - Comparison rows; value is the text compared to find differing rows
+ * @param {Array} products - Full products being compared
+ * @returns {Array} [{ label, values: [string], render?: (product) => node }]
+ */
+const buildRows = (products) => {
+  const rows = [
+    { label: 'Price', values: products.map(getPriceLabel) },
+    { label: 'Category', values: products.map((product) => product.category || '—') },
+    { label: 'Stock', values: products.map(getStockLabel) },
+    {
+      label: 'Rating',
+      values: products.map((product) =>
+        product.reviewCount > 0 ? `${Number(product.averageRating || 0).toFixed(1)} (${product.reviewCount})` : 'No reviews'
+      ),
+      render: (product) =>
+        product.reviewCount > 0 ? (
+          <span className="inline-flex items-center gap-1">
+            <StarRating rating={Number(product.averageRating || 0)} />
+            <span className="text-sm text-gray-600">({product.reviewCount})</span>
+          </span>
+        ) : (
+          <span className="text-sm text-gray-500">No reviews</span>
+        ),
+    },
+  ]
+
+  // One row per option axis (Size, Color...) found on any of the products
+  const optionNames = []
+  products.forEach((product) =>
+    (product.options || []).forEach((option) => {
+      if (!optionNames.includes(option.name)) optionNames.push(option.name)
+    })
+  )
+  optionNames.forEach((name) =>
+    rows.push({
+      label: name,
+      values: products.map((product) => {
+        const option = (product.options || []).find((o) => o.name === name)
+        return option ? option.values.join(', ') : '—'
+      }),
+    })
+  )
+  return rows
+}
+
+/**
+ * Compare Component - Up to four products side by side
+ *
+ * WHAT IT DOES:
+ * - Loads the current version of every product in the compare list (CompareContext);
+ *   products that no longer exist are dropped from the list
+ * - Shows price, category, stock, rating and each option axis (Size, Color...) in rows,
+ *   highlighting rows where the products differ ("Only differences" hides the rest)
+ */
+const Compare = () => {
+  const { compareItems, removeFromCompare } = useCompare()
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [onlyDifferences, setOnlyDifferences] = useState(false)
+
+  // Reload only when the set of products changes, not on every context update
+  const idsKey = compareItems.map((item) => item.id).join(',')
+
+  useEffect(() => {
+    let cancelled = false
+    const fetchProducts = async () => {
+      setLoading(true)
+      const results = await Promise.allSettled(compareItems.map((item) => productService.getById(item.id)))
+      if (cancelled) return
+      const loaded = []
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          loaded.push(result.value.data)
+        } else if (result.reason?.response?.status === 404) {
+          removeFromCompare(compareItems[index].id)
+        } else {
+          console.error('Error fetching product:', result.reason)
+        }
+      })
+      setProducts(loaded)
+      setLoading(false)
+    }
+    fetchProducts()
+    return () => {
+      cancelled = true
+    }
+  }, [idsKey])
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (products.length === 0) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Nothing to Compare</h1>
+        <p className="text-gray-600 mb-8">Tick "Compare" on up to four products to see them side by side.</p>
+        <Link to="/products" className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition">
+          Browse Products
+        </Link>
+      </div>
+    )
+  }
+
+  const rows = buildRows(products).map((row) => ({ ...row, differs: new Set(row.values).size > 1 }))
+  const visibleRows = onlyDifferences ? rows.filter((row) => row.differs) : rows
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Compare Products</h1>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={onlyDifferences}
+            onChange={(e) => setOnlyDifferences(e.target.checked)}
+            className="mr-2"
+          />
+          Only differences
+        </label>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+        <table className="w-full table-fixed min-w-[640px]">
+          <thead>
+            <tr>
+              <th className="w-40"></th>
+              {products.map((product) => (
+                <th key={product.id} className="p-4 align-top text-left font-normal">
+                  <div className="relative">
+                    <button
+                      onClick={() => removeFromCompare(product.id)}
+                      aria-label={`Remove ${product.name} from compare`}
+                      className="absolute top-0 right-0 bg-white rounded-full p-1 text-red-600 shadow"
+                    >
+                      <FaTimes className="text-xs" />
+                    </button>
+                    <Link to={`/product/${product.id}`}>
+                      <img
+                        src={product.imageUrl || 'https://via.placeholder.com/200'}
+                        alt={product.name}
+                        className="w-full h-40 object-cover rounded-lg mb-2"
+                      />
+                      <span className="font-semibold text-gray-800 hover:text-indigo-600">{product.name}</span>
+                    </Link>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => (
+              <tr key={row.label} className={`border-t ${row.differs ? 'bg-yellow-50' : ''}`}>
+                <th className="p-4 text-left text-gray-700 font-semibold">{row.label}</th>
+                {products.map((product, index) => (
+                  <td key={product.id} className="p-4 text-gray-800">
+                    {row.render ? row.render(product) : row.values[index]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {visibleRows.length === 0 && (
+              <tr className="border-t">
+                <td colSpan={products.length + 1} className="p-4 text-center text-gray-600">
+                  These products don't differ in any of the compared details.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default Compare
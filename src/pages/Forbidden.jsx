@@ -0,0 +1,26 @@
+import { Link } from 'react-router-dom'
+
+/**
+ * Forbidden Component - 403 page shown by RequireRole
+ * 
+ * WHAT IT DOES:
+ * - Tells a logged-in user their role cannot open the requested page
+ * - Offers a link back to the home page
+ */
+const Forbidden = () => {
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+      <p className="text-6xl font-bold text-indigo-600 mb-4">403</p>
+      <h1 className="text-3xl font-bold text-gray-800 mb-4">Access Denied</h1>
+      <p className="text-gray-600 mb-8">You don't have permission to view this page.</p>
+      <Link
+        to="/"
+        className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+      >
+        Back to Home
+      </Link>
+    </div>
+  )
+}
+
+export default Forbidden
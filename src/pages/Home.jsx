@@ -1,21 +1,29 @@
 import { useEffect, useState } from 'react'
 import { Link } from 'react-router-dom'
-import { productService } from '../services/api'
+import { productService, merchandisingService } from '../services/api'
 import ProductCard from '../components/ProductCard'
+import ProductCarousel from '../components/ProductCarousel'
+import HomeSection from '../components/HomeSection'
+import { useAuth } from '../context/AuthContext'
+import { getRecentlyViewed, loadRecentlyViewed } from '../utils/recentlyViewed'
+import { toPage } from '../utils/pagination'
 
 /**
  * Home Component - Landing page of the e-commerce application
  * 
  * WHAT IT DOES:
- * - Displays a hero section with welcome message
- * - Fetches and displays the first 8 products as featured products
+ * - Renders the home page layout configured by admins (merchandisingService.getHomeLayout):
+ *   hero banners and product sections, in the order the backend returns them
+ * - Without a configured layout (or if it fails to load), shows the default page:
+ *   a hero section with welcome message and the first 8 products as featured products
+ * - Shows a "Continue Browsing" row built from the user's recently viewed products
  * - Shows loading spinner while fetching data
  * 
  * FLOW:
  * 1. Component mounts → useEffect runs
- * 2. Fetches all products from backend API
- * 3. Takes first 8 products and stores in state
- * 4. Sets loading to false → renders products
+ * 2. Fetches the home layout; if it has sections, renders them
+ * 3. Otherwise fetches all products from backend API and takes the first 8
+ * 4. Sets loading to false → renders the page
  * 
  * RETURNS:
  * - JSX containing hero section and featured products grid
@@ -31,10 +39,29 @@ const Home = () => {
   // After API call: false (showing products)
   const [loading, setLoading] = useState(true)
 
+  // Sections of the configured home layout; null → default layout
+  const [sections, setSections] = useState(null)
+
+  // Products the user viewed recently (utils/recentlyViewed, per user)
+  const { user, loading: authLoading } = useAuth()
+  const [recentlyViewed, setRecentlyViewed] = useState([])
+
+  useEffect(() => {
+    if (authLoading) return
+    let cancelled = false
+    loadRecentlyViewed(getRecentlyViewed(user?.id), async (id) => (await productService.getById(id)).data).then(
+      (products) => !cancelled && setRecentlyViewed(products)
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [user?.id, authLoading])
+
   /**
    * useEffect Hook - Runs when component first mounts
    * 
    * WHAT IT DOES:
+   * - Fetches the configured home layout; the steps below only run when there is none
    * - Fetches all products from the backend API
    * - Takes only the first 8 products for featured display
    * - Handles loading state and errors
@@ -53,14 +80,27 @@ const Home = () => {
    */
   useEffect(() => {
     const fetchProducts = async () => {
+      try {
+        // Admin-configured sections (already scheduled and ordered by the backend)
+        const layout = await merchandisingService.getHomeLayout()
+        const list = Array.isArray(layout.data) ? layout.data : layout.data?.sections || []
+        if (list.length > 0) {
+          setSections(list)
+          setLoading(false)
+          return
+        }
+      } catch (error) {
+        // No layout endpoint or it failed → default layout below
+        console.error('Error fetching home layout:', error)
+      }
       try {
         // Call backend API to get all products
         // Returns: Promise that resolves to response object with data array
         const response = await productService.getAll()
-        // Extract first 8 products from the response
+        // Extract first 8 products from the response (a bare array or a paged response)
         // slice(0, 8) takes elements at index 0-7 (8 products total)
         // Updates products state → triggers re-render
-        setProducts(response.data.slice(0, 8))
+        setProducts(toPage(response.data, 0, 8).content.slice(0, 8))
       } catch (error) {
         // If API call fails (network error, server error, etc.)
         // Log error for debugging
@@ -77,6 +117,38 @@ const Home = () => {
     fetchProducts()
   }, []) // Empty array means this runs only once when component mounts
 
+  // Continue browsing - the user's recently viewed products, when there are any
+  const continueBrowsing = recentlyViewed.length > 0 && (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+      <ProductCarousel title="Continue Browsing" products={recentlyViewed} />
+    </div>
+  )
+
+  // Nothing is shown until we know which layout to render, so the default hero doesn't flash
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (sections) {
+    // Continue Browsing goes right under a leading hero banner, otherwise at the top
+    const leadingHero = sections[0].type === 'HERO'
+    return (
+      <div>
+        {leadingHero && <HomeSection section={sections[0]} />}
+        {continueBrowsing}
+        <div className="py-8">
+          {(leadingHero ? sections.slice(1) : sections).map((section, index) => (
+            <HomeSection key={section.id ?? index} section={section} />
+          ))}
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div>
       {/* Hero Section */}
@@ -93,20 +165,16 @@ const Home = () => {
         </div>
       </section>
 
+      {continueBrowsing}
+
       {/* Featured Products */}
       <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
         <h2 className="text-3xl font-bold text-gray-800 mb-8">Featured Products</h2>
-        {loading ? (
-          <div className="text-center py-12">
-            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
-          </div>
-        ) : (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-            {products.map((product) => (
-              <ProductCard key={product.id} product={product} />
-            ))}
-          </div>
-        )}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          {products.map((product) => (
+            <ProductCard key={product.id} product={product} />
+          ))}
+        </div>
       </section>
     </div>
   )
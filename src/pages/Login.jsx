@@ -1,10 +1,14 @@
 import { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { authService } from '../services/api'
 import { toast } from 'react-toastify'
+import { useAuth } from '../context/AuthContext'
 
 const Login = () => {
   const navigate = useNavigate()
+  const { login } = useAuth()
+  // ?redirect= is set when the user was sent here from a protected page or an expired session
+  const [searchParams] = useSearchParams()
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -24,17 +28,14 @@ const Login = () => {
     try {
       // Attempt to login by calling the backend API with email and password
       const response = await authService.login(formData)
-      // If login successful, store authentication token in browser's local storage
-      // This token will be used for authenticated API requests
-      localStorage.setItem('token', response.data.token)
-      // Store user information in local storage as JSON string
-      localStorage.setItem('user', JSON.stringify(response.data.user))
-      // Notify other parts of the app that auth changed (so CartContext can reload per-user cart)
-      window.dispatchEvent(new Event('authChanged'))
+      // If login successful, store token and user through AuthContext
+      // The token is attached to every API request; Navbar and CartContext update immediately
+      login(response.data.token, response.data.user)
       // Show success notification to the user
       toast.success('Login successful!')
-      // Redirect user to the home page after successful login
-      navigate('/')
+      // Send user back to the page they came from (only same-site paths), or home
+      const redirect = searchParams.get('redirect')
+      navigate(redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/', { replace: true })
     } catch (error) {
       // If login fails (wrong credentials or network error),
       // show error notification to the user
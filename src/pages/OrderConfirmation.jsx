@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { orderService } from '../services/api'
+import { useCart } from '../context/CartContext'
+import { getOrderItems, getShippingInfo } from '../utils/orders'
+import { downloadInvoice } from '../utils/invoice'
+import OrderLineItems from '../components/OrderLineItems'
+import OrderTotals from '../components/OrderTotals'
+import { FaPrint, FaDownload } from 'react-icons/fa'
+import { toast } from 'react-toastify'
+
+/**
+ * OrderConfirmation Component - "Thank you" page shown after a successful payment
+ * 
+ * WHAT IT DOES:
+ * - Fetches the new order by the :id URL parameter
+ * - Shows order number, line items, shipping address and totals
+ * - Prints as a receipt (navbar and buttons are hidden by print: classes)
+ * - Downloads an HTML invoice
+ * - After a "Buy Now" order the cart still has its items; links back to it
+ * 
+ * FLOW:
+ * 1. Payment succeeds → usePaymentFlow navigates here
+ * 2. Component mounts → orderService.getById(id)
+ * 3. User clicks Print → window.print(); Download → downloadInvoice(order)
+ */
+const OrderConfirmation = () => {
+  const { id } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  // Empty after a normal checkout; untouched after a Buy Now order
+  const { getCartItemsCount } = useCart()
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        const response = await orderService.getById(id)
+        setOrder(response.data)
+      } catch (error) {
+        console.error('Error fetching order:', error)
+        toast.error('Order not found')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchOrder()
+  }, [id])
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!order) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Order Not Found</h1>
+        <Link to="/account/orders" className="text-indigo-600 hover:underline">
+          Go to My Orders
+        </Link>
+      </div>
+    )
+  }
+
+  const shipping = getShippingInfo(order)
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 print:py-0">
+      <div className="text-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2 print:hidden">Thank you for your order!</h1>
+        <h1 className="hidden print:block text-2xl font-bold">ShopHub Receipt</h1>
+        <p className="text-gray-600">
+          Order number <span className="font-semibold text-gray-800">#{order.id}</span>
+          {order.orderDate && <> · {new Date(order.orderDate).toLocaleString()}</>}
+        </p>
+        {shipping.email && (
+          <p className="text-sm text-gray-500 mt-1 print:hidden">A confirmation has been sent to {shipping.email}.</p>
+        )}
+      </div>
+
+      <div className="flex justify-center gap-4 mb-8 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="inline-flex items-center bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300 transition"
+        >
+          <FaPrint className="mr-2" /> Print Receipt
+        </button>
+        <button
+          onClick={() => downloadInvoice(order)}
+          className="inline-flex items-center bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300 transition"
+        >
+          <FaDownload className="mr-2" /> Download Invoice
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8 print:grid-cols-3">
+        <div className="md:col-span-2 print:col-span-2">
+          <OrderLineItems items={getOrderItems(order)} />
+        </div>
+        <div className="space-y-8">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Shipping To</h2>
+            <p className="font-semibold">{shipping.name}</p>
+            <p className="text-gray-600">{shipping.address}</p>
+            <p className="text-gray-600">
+              {shipping.city} {shipping.region} {shipping.zipCode}
+            </p>
+            {shipping.country && <p className="text-gray-600">{shipping.country}</p>}
+          </div>
+          <OrderTotals order={order} />
+        </div>
+      </div>
+
+      <div className="flex justify-center gap-6 mt-8 print:hidden">
+        <Link to={`/account/orders/${order.id}`} className="text-indigo-600 hover:underline">
+          Track this order
+        </Link>
+        <Link to="/products" className="text-indigo-600 hover:underline">
+          Continue Shopping
+        </Link>
+        {getCartItemsCount() > 0 && (
+          <Link to="/cart" className="text-indigo-600 hover:underline">
+            Return to your cart ({getCartItemsCount()} items)
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OrderConfirmation
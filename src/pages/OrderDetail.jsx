@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { orderService } from '../services/api'
+import { buildStatusTimeline, getOrderItems, getShippingInfo } from '../utils/orders'
+import OrderStatusBadge from '../components/OrderStatusBadge'
+import OrderLineItems from '../components/OrderLineItems'
+import OrderTotals from '../components/OrderTotals'
+import { toast } from 'react-toastify'
+
+/**
+ * OrderDetail Component - Full view of a single order
+ * 
+ * WHAT IT DOES:
+ * - Fetches the order by the :id URL parameter
+ * - Shows line items, shipping information and totals
+ * - Shows a status timeline (from statusHistory, or derived from the current status)
+ * 
+ * FLOW:
+ * 1. Component mounts → calls orderService.getById(id)
+ * 2. Success → renders the order; failure → shows a not-found message
+ * 
+ * RETURNS:
+ * - JSX with items, shipping info, totals and timeline
+ */
+const OrderDetail = () => {
+  const { id } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      setLoading(true)
+      try {
+        const response = await orderService.getById(id)
+        setOrder(response.data)
+      } catch (error) {
+        console.error('Error fetching order:', error)
+        toast.error('Order not found')
+        setOrder(null)
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchOrder()
+  }, [id])
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!order) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Order Not Found</h1>
+        <Link to="/account/orders" className="text-indigo-600 hover:underline">
+          Back to My Orders
+        </Link>
+      </div>
+    )
+  }
+
+  const items = getOrderItems(order)
+  const shipping = getShippingInfo(order)
+  const timeline = buildStatusTimeline(order)
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link to="/account/orders" className="text-indigo-600 hover:underline text-sm">
+        ← Back to My Orders
+      </Link>
+      <div className="flex items-center justify-between mt-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Order #{order.id}</h1>
+          <p className="text-gray-600">
+            Placed on {order.orderDate ? new Date(order.orderDate).toLocaleString() : '—'}
+          </p>
+        </div>
+        <div className="flex items-center gap-4">
+          {order.status === 'PENDING_PAYMENT' && (
+            <Link
+              to={`/checkout/payment/${order.id}/retry`}
+              className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-indigo-700 transition"
+            >
+              Complete Payment
+            </Link>
+          )}
+          <OrderStatusBadge status={order.status} />
+        </div>
+      </div>
+
+      {/* Status Timeline */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+        <h2 className="text-xl font-bold text-gray-800 mb-4">Status</h2>
+        <ol className="space-y-4">
+          {timeline.map((step) => (
+            <li key={step.status} className="flex items-start">
+              <span
+                className={`mt-1 mr-4 w-4 h-4 rounded-full flex-shrink-0 ${
+                  step.done ? (step.status === 'CANCELLED' ? 'bg-red-500' : 'bg-indigo-600') : 'bg-gray-300'
+                }`}
+              />
+              <div>
+                <p className={step.done ? 'font-semibold text-gray-800' : 'text-gray-400'}>{step.label}</p>
+                {step.date && (
+                  <p className="text-sm text-gray-500">{new Date(step.date).toLocaleString()}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        {/* Line Items */}
+        <div className="md:col-span-2">
+          <OrderLineItems items={items} />
+        </div>
+
+        <div className="space-y-8">
+          {/* Shipping Info */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Shipping To</h2>
+            <p className="font-semibold">{shipping.name}</p>
+            <p className="text-gray-600">{shipping.address}</p>
+            <p className="text-gray-600">
+              {shipping.city} {shipping.region} {shipping.zipCode}
+            </p>
+            {shipping.country && <p className="text-gray-600">{shipping.country}</p>}
+            <p className="text-gray-600">{shipping.email}</p>
+          </div>
+
+          {/* Totals */}
+          <OrderTotals order={order} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrderDetail
@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { orderService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { toPage } from '../utils/pagination'
+import { sortNewestFirst } from '../utils/orders'
+import OrderStatusBadge from '../components/OrderStatusBadge'
+import Pagination from '../components/Pagination'
+import { toast } from 'react-toastify'
+
+// Orders shown per page
+const PAGE_SIZE = 10
+
+/**
+ * OrderHistory Component - Paginated list of the logged-in user's orders
+ * 
+ * WHAT IT DOES:
+ * - Fetches the user's orders one page at a time (newest first)
+ * - Shows order number, date, total and status for each order
+ * - Links each order to its detail page
+ * 
+ * FLOW:
+ * 1. Component mounts → fetches page 0 for the current user
+ * 2. User clicks a page number → page state changes → next page is fetched
+ * 3. User clicks an order → navigates to /account/orders/:id
+ * 
+ * RETURNS:
+ * - JSX with the orders list and pagination controls
+ */
+const OrderHistory = () => {
+  const { user } = useAuth()
+  const [orders, setOrders] = useState([])
+  const [page, setPage] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchOrders = async () => {
+      setLoading(true)
+      try {
+        const response = await orderService.getByUser(user.id, { page, size: PAGE_SIZE, sort: 'date_desc' })
+        // A bare array means the backend ignored page and sort, so sort it before slicing
+        const data = Array.isArray(response.data) ? sortNewestFirst(response.data) : response.data
+        const result = toPage(data, page, PAGE_SIZE)
+        setOrders(result.content)
+        setTotalPages(result.totalPages)
+      } catch (error) {
+        console.error('Error fetching orders:', error)
+        toast.error('Failed to load your orders')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchOrders()
+  }, [user.id, page])
+
+  const handlePageChange = (newPage) => {
+    setPage(newPage)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">My Orders</h1>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : orders.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-8 text-center">
+          <p className="text-gray-600 mb-6">You haven't placed any orders yet.</p>
+          <Link
+            to="/products"
+            className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+          >
+            Start Shopping
+          </Link>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            {orders.map((order) => (
+              <Link
+                key={order.id}
+                to={`/account/orders/${order.id}`}
+                className="flex items-center justify-between p-6 border-b border-gray-200 last:border-b-0 hover:bg-gray-50 transition"
+              >
+                <div>
+                  <p className="font-semibold text-gray-800">Order #{order.id}</p>
+                  <p className="text-sm text-gray-600">
+                    {order.orderDate ? new Date(order.orderDate).toLocaleDateString() : '—'}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-6">
+                  <OrderStatusBadge status={order.status} />
+                  <span className="font-bold text-indigo-600 w-24 text-right">
+                    ${Number(order.total || 0).toFixed(2)}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+          <Pagination page={page} totalPages={totalPages} onPageChange={handlePageChange} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default OrderHistory
@@ -0,0 +1,64 @@
+import { useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { orderService } from '../services/api'
+import { isExpressCheckoutOrder, endExpressCheckout } from '../utils/expressCheckout'
+import { toast } from 'react-toastify'
+
+/**
+ * PaymentCancelled Component - Shown when the customer closes the payment step
+ * 
+ * WHAT IT DOES:
+ * - Tells the customer the order is on hold, awaiting payment
+ * - Offers to resume payment, or to cancel the order for good
+ * 
+ * FLOW:
+ * 1. "Resume Payment" → /checkout/payment/:orderId/retry
+ * 2. "Cancel Order" → orderService.cancel() → back to the (untouched) cart
+ */
+const PaymentCancelled = () => {
+  const { orderId } = useParams()
+  const navigate = useNavigate()
+  const [cancelling, setCancelling] = useState(false)
+
+  const handleCancelOrder = async () => {
+    setCancelling(true)
+    try {
+      await orderService.cancel(orderId)
+      toast.info('Your order has been cancelled.')
+      // A cancelled Buy Now order has nothing left to pay for
+      if (isExpressCheckoutOrder(orderId)) endExpressCheckout()
+      navigate('/cart', { replace: true })
+    } catch (error) {
+      toast.error('Failed to cancel order: ' + (error.response?.data?.error || error.message))
+      setCancelling(false)
+    }
+  }
+
+  return (
+    <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Payment Cancelled</h1>
+        <p className="text-gray-600 mb-6">
+          Order #{orderId} is on hold until it is paid. Your cart has been kept.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-4 justify-center">
+          <Link
+            to={`/checkout/payment/${orderId}/retry`}
+            className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+          >
+            Resume Payment
+          </Link>
+          <button
+            onClick={handleCancelOrder}
+            disabled={cancelling}
+            className="bg-red-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-red-700 transition disabled:opacity-50"
+          >
+            {cancelling ? 'Cancelling...' : 'Cancel Order'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentCancelled
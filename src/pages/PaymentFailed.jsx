@@ -0,0 +1,43 @@
+import { Link, useLocation, useParams } from 'react-router-dom'
+
+/**
+ * PaymentFailed Component - Shown when a provider declines or errors
+ * 
+ * WHAT IT DOES:
+ * - Explains that the order was created but not paid
+ * - Shows the provider's error message when one was passed in location state
+ * - Offers a retry (same order) or a way back to the cart (still intact)
+ */
+const PaymentFailed = () => {
+  const { orderId } = useParams()
+  const location = useLocation()
+  const error = location.state?.error
+
+  return (
+    <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <h1 className="text-3xl font-bold text-red-600 mb-4">Payment Failed</h1>
+        <p className="text-gray-600 mb-2">
+          We couldn't take payment for order #{orderId}. You have not been charged.
+        </p>
+        {error && <p className="text-sm text-gray-500 mb-6">{error}</p>}
+        <div className="flex flex-col sm:flex-row gap-4 justify-center mt-6">
+          <Link
+            to={`/checkout/payment/${orderId}/retry`}
+            className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+          >
+            Try Again
+          </Link>
+          <Link
+            to="/cart"
+            className="bg-gray-200 text-gray-800 px-6 py-3 rounded-lg font-semibold hover:bg-gray-300 transition"
+          >
+            Back to Cart
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentFailed
@@ -0,0 +1,48 @@
+import { Link, useLocation, useParams } from 'react-router-dom'
+
+/**
+ * PaymentPending Component - Shown when the customer was charged but the backend has not
+ * confirmed the payment yet (e.g. the confirm request failed or timed out)
+ * 
+ * WHAT IT DOES:
+ * - Tells the customer the payment is being verified and that they should not pay again
+ * - Shows the provider's payment reference when one was passed in location state
+ * - Links to the order, whose status updates once the payment is confirmed
+ * - Deliberately offers no retry, so the customer cannot be charged twice
+ */
+const PaymentPending = () => {
+  const { orderId } = useParams()
+  const location = useLocation()
+  const reference = location.state?.reference
+
+  return (
+    <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <h1 className="text-3xl font-bold text-yellow-600 mb-4">Verifying Your Payment</h1>
+        <p className="text-gray-600 mb-2">
+          Your payment for order #{orderId} was received and is being verified. Please don't pay again.
+        </p>
+        <p className="text-gray-600 mb-2">
+          The order will be updated once the payment is confirmed.
+        </p>
+        {reference && <p className="text-sm text-gray-500 mb-6">Payment reference: {reference}</p>}
+        <div className="flex flex-col sm:flex-row gap-4 justify-center mt-6">
+          <Link
+            to={`/account/orders/${orderId}`}
+            className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+          >
+            View Order
+          </Link>
+          <Link
+            to="/products"
+            className="bg-gray-200 text-gray-800 px-6 py-3 rounded-lg font-semibold hover:bg-gray-300 transition"
+          >
+            Continue Shopping
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentPending
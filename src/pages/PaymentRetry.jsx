@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react'
+import { Link, Navigate, useParams } from 'react-router-dom'
+import { orderService } from '../services/api'
+import { getPaymentProviders, getPaymentProvider } from '../payments'
+import { usePaymentFlow } from '../payments/usePaymentFlow'
+import { getOrderItems } from '../utils/orders'
+import PaymentMethodSelector from '../components/PaymentMethodSelector'
+import { toast } from 'react-toastify'
+
+/**
+ * PaymentRetry Component - Pay again for an order left in PENDING_PAYMENT
+ * 
+ * WHAT IT DOES:
+ * - Loads the existing order (no new order is created)
+ * - Lets the customer pick a payment method again
+ * - Runs the same payment flow as Checkout
+ * 
+ * FLOW:
+ * 1. Component mounts → orderService.getById(orderId)
+ * 2. Order no longer awaiting payment → redirect to its detail page
+ * 3. Customer clicks Pay → usePaymentFlow → success / failed / cancelled screen
+ */
+const PaymentRetry = () => {
+  const { orderId } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [paymentMethod, setPaymentMethod] = useState(getPaymentProviders()[0].id)
+  const [paymentDetails, setPaymentDetails] = useState({})
+  const { pay, processing } = usePaymentFlow()
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        const response = await orderService.getById(orderId)
+        setOrder(response.data)
+        // The order's method may no longer be offered (e.g. card payments not configured here)
+        if (getPaymentProvider(response.data.paymentMethod)) {
+          setPaymentMethod(response.data.paymentMethod)
+        }
+      } catch (error) {
+        console.error('Error fetching order:', error)
+        toast.error('Order not found')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchOrder()
+  }, [orderId])
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!order) {
+    return <Navigate to="/account/orders" replace />
+  }
+
+  // Already paid or cancelled - nothing to retry
+  if (order.status !== 'PENDING_PAYMENT') {
+    return <Navigate to={`/account/orders/${order.id}`} replace />
+  }
+
+  return (
+    <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">Complete Payment</h1>
+      <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+        <div>
+          <p className="font-semibold text-gray-800">Order #{order.id}</p>
+          <ul className="text-sm text-gray-600 mt-2 space-y-1">
+            {getOrderItems(order).map((item, index) => (
+              <li key={item.id ?? index} className="flex justify-between">
+                <span>{item.name} x{item.quantity}</span>
+                <span>${(item.price * item.quantity).toFixed(2)}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-between text-xl font-bold pt-2 mt-2 border-t">
+            <span>Total</span>
+            <span className="text-indigo-600">${Number(order.total || 0).toFixed(2)}</span>
+          </div>
+        </div>
+
+        <PaymentMethodSelector
+          value={paymentMethod}
+          onChange={(id) => {
+            setPaymentMethod(id)
+            setPaymentDetails({})
+          }}
+          details={paymentDetails}
+          onDetailsChange={setPaymentDetails}
+        />
+
+        <button
+          onClick={() => pay(order, paymentMethod, paymentDetails)}
+          disabled={processing}
+          className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {processing ? 'Processing payment...' : `Pay $${Number(order.total || 0).toFixed(2)}`}
+        </button>
+        <Link to="/cart" className="block text-center text-indigo-600 hover:underline">
+          Back to Cart
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentRetry
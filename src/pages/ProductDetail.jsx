@@ -2,28 +2,58 @@ import { useEffect, useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { productService } from '../services/api'
 import { useCart } from '../context/CartContext'
+import { useAuth } from '../context/AuthContext'
 import { toast } from 'react-toastify'
+import { getMaxQuantity } from '../utils/cart'
+import WishlistButton from '../components/WishlistButton'
+import VariantSelector from '../components/VariantSelector'
+import ProductGallery from '../components/ProductGallery'
+import ProductReviews from '../components/ProductReviews'
+import StarRating from '../components/StarRating'
+import ProductCarousel from '../components/ProductCarousel'
+import { getProductImages } from '../utils/images'
+import { toPage } from '../utils/pagination'
+import { addRecentlyViewed, loadRecentlyViewed } from '../utils/recentlyViewed'
+import { startExpressCheckout, EXPRESS_CHECKOUT_PATH } from '../utils/expressCheckout'
+import { hasVariants, findVariantByOptions, toCartLine, getLineId } from '../utils/variants'
+
+// Products shown in the "related products" carousel
+const RELATED_LIMIT = 12
 
 const ProductDetail = () => {
   const { id } = useParams()
   const navigate = useNavigate()
-  const { addToCart } = useCart()
+  const { cartItems, addToCart } = useCart()
+  const { user, loading: authLoading } = useAuth()
   const [product, setProduct] = useState(null)
   const [loading, setLoading] = useState(true)
   const [quantity, setQuantity] = useState(1)
+  // Chosen option values for products with variants, e.g. { Size: 'M', Color: 'Red' }
+  const [selections, setSelections] = useState({})
+  // Other products the user looked at, and products from the same category or seller
+  const [recentlyViewed, setRecentlyViewed] = useState([])
+  const [related, setRelated] = useState([])
 
   /**
    * Fetches product details from the backend when component mounts or product ID changes
    * Runs automatically when the component first loads or when the URL parameter changes
    */
   useEffect(() => {
+    // Set when the user moves on to another product before this one has loaded
+    let cancelled = false
     const fetchProduct = async () => {
+      // Another product (e.g. from the related carousel) starts from a clean state
+      setLoading(true)
+      setQuantity(1)
       try {
         // Call backend API to get product details by ID
         const response = await productService.getById(id)
+        if (cancelled) return
         // If product found, store it in state to display on the page
         setProduct(response.data)
+        setSelections({})
       } catch (error) {
+        if (cancelled) return
         // If product not found or API call fails,
         // log error for debugging
         console.error('Error fetching product:', error)
@@ -34,25 +64,104 @@ const ProductDetail = () => {
       } finally {
         // Always set loading to false after API call completes
         // This ensures loading spinner is hidden whether request succeeds or fails
-        setLoading(false)
+        if (!cancelled) setLoading(false)
       }
     }
     // Execute the fetch function
     fetchProduct()
+    return () => {
+      cancelled = true
+    }
   }, [id, navigate]) // Re-run this effect if product ID or navigate function changes
 
+  /**
+   * Records the product in the user's recently viewed history (utils/recentlyViewed)
+   * The strip under the product shows the rest of the history, fetched fresh
+   */
+  useEffect(() => {
+    // Wait for the session so the view goes to the right user's history
+    if (!product || authLoading) return
+    let cancelled = false
+    const history = addRecentlyViewed(user?.id, product.id)
+    const otherIds = history.filter((id) => String(id) !== String(product.id))
+    loadRecentlyViewed(otherIds, async (otherId) => (await productService.getById(otherId)).data).then(
+      (products) => !cancelled && setRecentlyViewed(products)
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [product, user?.id, authLoading])
+
+  /**
+   * Loads related products: same category and same seller, products matching both first
+   * Either list failing (or the product having no category/seller) just leaves it out
+   */
+  useEffect(() => {
+    if (!product) return
+    let cancelled = false
+    const fetchRelated = async () => {
+      const queries = []
+      if (product.category) queries.push({ category: [product.category] })
+      if (product.sellerId != null) queries.push({ sellerId: [product.sellerId] })
+      const results = await Promise.allSettled(
+        queries.map((query) => productService.getAll({ ...query, page: 0, size: RELATED_LIMIT + 1 }))
+      )
+      if (cancelled) return
+      // Score = number of lists the product appears in; ties keep the order they came in
+      const scores = new Map()
+      results.forEach((result) => {
+        if (result.status !== 'fulfilled') return
+        toPage(result.value.data, 0, RELATED_LIMIT + 1).content.forEach((item) => {
+          if (String(item.id) === String(product.id)) return
+          const entry = scores.get(item.id) || { item, score: 0 }
+          entry.score += 1
+          scores.set(item.id, entry)
+        })
+      })
+      setRelated(
+        [...scores.values()]
+          .sort((a, b) => b.score - a.score)
+          .slice(0, RELATED_LIMIT)
+          .map((entry) => entry.item)
+      )
+    }
+    setRelated([])
+    fetchRelated()
+    return () => {
+      cancelled = true
+    }
+  }, [product])
+
   /**
    * Handles adding product to cart when user clicks "Add to Cart" button
-   * Adds the product multiple times based on selected quantity
+   * Adds the selected quantity of the chosen variant; CartContext caps the cart at its stock,
+   * so a quantity picked for Buy Now that exceeds what's left only adds the remainder
    */
   const handleAddToCart = () => {
-    // Loop through and add product to cart for each quantity selected
-    // If quantity is 3, product will be added 3 times (quantity will be 3 in cart)
-    for (let i = 0; i < quantity; i++) {
-      addToCart(product)
+    const added = addToCart(product, quantity, variant)
+    if (added === 0) {
+      toast.error('You already have all available stock in your cart')
+      return
+    }
+    // Show success notification with the quantity actually added
+    if (added < quantity) {
+      toast.warn(`Only ${added} more available - ${added} item(s) added to cart`)
+    } else {
+      toast.success(`${added} item(s) added to cart!`)
     }
-    // Show success notification with the quantity added
-    toast.success(`${quantity} item(s) added to cart!`)
+  }
+
+  /**
+   * Handles "Buy Now": checks out just this product and quantity (express checkout)
+   * The cart is not touched; Checkout reads the item from the express session
+   */
+  const handleBuyNow = () => {
+    if (needsChoice) {
+      toast.error('Please choose your options first')
+      return
+    }
+    startExpressCheckout({ ...line, quantity: Math.min(quantity, maxQuantity) })
+    navigate(EXPRESS_CHECKOUT_PATH)
   }
 
   // Check if product data is still being loaded from the API
@@ -74,20 +183,59 @@ const ProductDetail = () => {
   }
   // If product exists, render the product details below
 
+  // Variant matching the current selections (null for single-SKU products or incomplete choices)
+  const variant = hasVariants(product) ? findVariantByOptions(product, selections) || null : null
+  const needsChoice = hasVariants(product) && !variant
+  // Price, stock and image of the chosen variant, or of the product itself
+  const line = toCartLine(product, variant)
+
+  // Stepper limit: the whole stock, since Buy Now ignores the cart's contents
+  const maxQuantity = needsChoice ? 0 : getMaxQuantity(line)
+  // Units that can still be added to the cart, given what's already in it
+  const inCart = cartItems.find((item) => getLineId(item) === line.lineId)?.quantity || 0
+  const available = Math.max(maxQuantity - inCart, 0)
+  const outOfStock = line.stockQuantity === 0
+  // The chosen variant's own image goes first in the gallery
+  const productImages = getProductImages(product)
+  const galleryImages =
+    variant && variant.imageUrl ? [variant.imageUrl, ...productImages.filter((url) => url !== variant.imageUrl)] : productImages
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
         <div>
-          <img
-            src={product.imageUrl || 'https://via.placeholder.com/600'}
-            alt={product.name}
-            className="w-full h-auto rounded-lg shadow-lg"
-          />
+          <ProductGallery images={galleryImages} alt={product.name} />
         </div>
         <div>
-          <h1 className="text-4xl font-bold text-gray-800 mb-4">{product.name}</h1>
-          <p className="text-3xl font-bold text-indigo-600 mb-6">${product.price}</p>
-          <p className="text-gray-600 mb-8 leading-relaxed">{product.description}</p>
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <h1 className="text-4xl font-bold text-gray-800">{product.name}</h1>
+            <WishlistButton product={product} className="text-2xl" />
+          </div>
+          {product.reviewCount > 0 && (
+            <p className="flex items-center gap-2 mb-4 text-sm text-gray-600">
+              <StarRating rating={Number(product.averageRating || 0)} />
+              {Number(product.averageRating || 0).toFixed(1)} ({product.reviewCount} review{product.reviewCount === 1 ? '' : 's'})
+            </p>
+          )}
+          <p className="text-3xl font-bold text-indigo-600 mb-6">${line.price}</p>
+          <p className="text-gray-600 mb-4 leading-relaxed">{product.description}</p>
+          {hasVariants(product) && (
+            <div className="mb-6">
+              <VariantSelector
+                product={product}
+                selections={selections}
+                onChange={(next) => {
+                  setSelections(next)
+                  setQuantity(1)
+                }}
+              />
+            </div>
+          )}
+          {!needsChoice && (
+            <p className={`mb-8 font-semibold ${outOfStock ? 'text-red-600' : 'text-green-600'}`}>
+              {outOfStock ? 'Out of stock' : typeof line.stockQuantity === 'number' ? `${line.stockQuantity} in stock` : 'In stock'}
+            </p>
+          )}
           
           <div className="mb-6">
             <label className="block text-gray-700 font-semibold mb-2">Quantity</label>
@@ -101,7 +249,8 @@ const ProductDetail = () => {
               <span className="text-xl font-semibold">{quantity}</span>
               <button
                 onClick={() => setQuantity(quantity + 1)}
-                className="bg-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300 transition"
+                disabled={quantity >= maxQuantity}
+                className="bg-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"
               >
                 +
               </button>
@@ -110,18 +259,25 @@ const ProductDetail = () => {
 
           <button
             onClick={handleAddToCart}
-            className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors mb-4"
+            disabled={available === 0}
+            className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors mb-4 disabled:bg-gray-400 disabled:cursor-not-allowed"
           >
-            Add to Cart
+            {needsChoice ? 'Select Options' : outOfStock ? 'Out of Stock' : 'Add to Cart'}
           </button>
           <button
-            onClick={() => navigate('/checkout')}
-            className="w-full bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700 transition-colors"
+            onClick={handleBuyNow}
+            disabled={needsChoice || outOfStock}
+            className="w-full bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
           >
             Buy Now
           </button>
         </div>
       </div>
+
+      <ProductCarousel title="Related Products" products={related} />
+      <ProductCarousel title="Recently Viewed" products={recentlyViewed} />
+
+      <ProductReviews productId={product.id} />
     </div>
   )
 }
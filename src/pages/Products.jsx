@@ -1,110 +1,254 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import { useNavigationType, useSearchParams } from 'react-router-dom'
 import { productService } from '../services/api'
 import ProductCard from '../components/ProductCard'
+import FacetSidebar from '../components/FacetSidebar'
+import Pagination from '../components/Pagination'
+import { toFacetParams } from '../utils/facets'
+import { toPage } from '../utils/pagination'
+import { parseCatalogQuery, toCatalogSearchParams, PAGE_SIZE_OPTIONS } from '../utils/catalogQuery'
+
+// Most infinite scroll pages restored in one request when coming back to the catalog
+const MAX_RESTORED_PAGES = 5
+
+// localStorage key for the pages / infinite scroll preference
+const VIEW_MODE_KEY = 'catalog_infinite_scroll'
+
+// sessionStorage key for the scroll position restored when coming back from a product page
+const SCROLL_KEY = 'catalog_scroll'
+
+/**
+ * readSavedScroll - Scroll position saved for this exact catalog view, if any
+ * @param {string} queryKey - Current catalog search params as a string
+ * @returns {Object|null} { queryKey, scrollY, loadedPages }
+ */
+const readSavedScroll = (queryKey) => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SCROLL_KEY) || 'null')
+    return saved?.queryKey === queryKey ? saved : null
+  } catch {
+    return null
+  }
+}
 
 /**
- * Products Component - Displays all products with search functionality
+ * Products Component - The catalog: search results, filters, sorting and pagination
  * 
  * WHAT IT DOES:
- * - Fetches and displays all products from the database
- * - Provides a search bar to filter products by name or description
+ * - Fetches one page of products at a time; search, filters and sorting run on the server
+ * - Shows the results of the Navbar search (?q=) with a link to clear it
+ * - Filter sidebar with server-side facets (category tree, price, seller, rating, in stock)
+ * - Keeps search, sort, filters and page in the URL (utils/catalogQuery), so every view
+ *   can be bookmarked or shared and back/forward restore it
+ * - Numbered pages with a page-size selector, or infinite scroll (remembered per browser)
+ * - Coming back from a product page (Back button) restores the scroll position and,
+ *   in infinite scroll mode, the pages that were already loaded
  * - Shows loading state while fetching
- * - Displays "No products found" if search returns no results
+ * - Displays "No products found" if search returns no results, with a "Did you mean" link
  * 
  * FLOW:
- * 1. Component mounts → fetches all products
- * 2. User types in search → filters products in real-time
- * 3. Displays filtered results in a grid
+ * 1. Component mounts → fetches the page (and facet counts) described by the URL
+ * 2. User searches from the Navbar (?q=), picks filters, sorts or changes page → the URL
+ *    changes and the products reload for it
+ * 3. Displays the page in a grid, with pagination or infinite scroll below it
  * 
  * RETURNS:
- * - JSX with search bar and product grid
+ * - JSX with the search summary, sort and view controls, filter sidebar and product grid
  */
 const Products = () => {
-  // State to store all products from the database
-  // Initial: empty array, After API: full product list
+  // State to store the products of the current page (or every loaded page in infinite scroll mode)
+  // Initial: empty array, After API: one page of products
   const [products, setProducts] = useState([])
+  const [totalElements, setTotalElements] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
   
   // State to track loading status
   // Initial: true (showing spinner), After API: false (showing products)
   const [loading, setLoading] = useState(true)
   
-  // Query state for server-side search/sort/filter
-  const [searchTerm, setSearchTerm] = useState('')
-  const [sortBy, setSortBy] = useState('') // e.g., 'price_asc', 'price_desc', 'name_asc'
-  const [category, setCategory] = useState('')
-  const [minPrice, setMinPrice] = useState('')
-  const [maxPrice, setMaxPrice] = useState('')
-  const [page, setPage] = useState(0)
-  const [size, setSize] = useState(20)
+  // Query state for server-side search/sort/filter lives in the URL; the URL is the only source of truth
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = parseCatalogQuery(searchParams)
+  const { search: searchTerm, sort: sortBy, filters, page, size } = query
+  // Stable key for the effect below (query is a new object every render)
+  const queryKey = toCatalogSearchParams(query).toString()
+  // Facet counts for the current query
+  const [facets, setFacets] = useState(null)
+  // Spelling suggestion shown when a search finds nothing
+  const [didYouMean, setDidYouMean] = useState(null)
+
+  // Infinite scroll mode: pages loaded so far and the "load more" request in flight
+  const [infiniteScroll, setInfiniteScroll] = useState(() => localStorage.getItem(VIEW_MODE_KEY) === 'true')
+  const [loadedPages, setLoadedPages] = useState(1)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const sentinelRef = useRef(null)
+
+  // Scroll position to restore once the first load finishes (only on Back/Forward)
+  const navigationType = useNavigationType()
+  const pendingScrollRef = useRef(undefined)
+  if (pendingScrollRef.current === undefined) {
+    pendingScrollRef.current = navigationType === 'POP' ? readSavedScroll(queryKey) : null
+  }
+  // Latest scroll position and loaded pages, saved when leaving the page
+  const scrollStateRef = useRef({ scrollY: 0, loadedPages: 1 })
+  scrollStateRef.current.loadedPages = loadedPages
+  const queryKeyRef = useRef(queryKey)
+  queryKeyRef.current = queryKey
 
   /**
-   * useEffect Hook #1 - Fetches all products on component mount
-   * 
-   * WHAT IT DOES:
-   * - Makes API call to get all products from backend
-   * - Stores products in state for filtering
-   * - Initializes filteredProducts with all products
+   * updateQuery - Writes query changes to the URL
+   * Sort, filter and page changes push a new history entry; replace is for adjustments
+   * that shouldn't get their own Back step
+   * @param {Object} changes - Fields of the query to change
+   * @param {boolean} replace - Replace the current history entry instead of pushing
+   */
+  const updateQuery = (changes, replace = false) => {
+    setSearchParams(toCatalogSearchParams({ ...query, ...changes }), { replace })
+  }
+
+  /**
+   * Fetches the products and facet counts for the current URL query
    * 
    * FLOW:
-   * 1. Component mounts → this effect runs
-   * 2. Calls productService.getAll() → GET /api/products
-   * 3. If successful: stores all products, sets filteredProducts to all products
-   * 4. Sets loading to false → component re-renders
-   * 5. Products are displayed (or filtered if search term exists)
+   * 1. The query (queryKey) or the view mode changes → this effect runs (debounced 300ms)
+   * 2. productService.getAll() for one page, and productService.getFacets() for the same filters
+   * 3. Stores the page, totals and facet counts; a search without results asks for a
+   *    "Did you mean" suggestion
+   * 4. Sets loading to false → the grid (and any pending scroll restore) renders
    * 
-   * WHAT HAPPENS NEXT:
-   * - Products are displayed in grid
-   * - Second useEffect watches for search changes
+   * In infinite scroll mode the first page is fetched; coming back with Back fetches the pages
+   * that were loaded before as one larger page. A newer query cancels an older request.
    */
   useEffect(() => {
+    let cancelled = false
     const fetchProducts = async () => {
       setLoading(true)
+      // Infinite scroll restarts at the first page; coming back restores every page that was loaded,
+      // fetched as one larger first page (capped, so the request stays reasonable)
+      const pagesToLoad = infiniteScroll
+        ? Math.min(Math.max(parseInt(pendingScrollRef.current?.loadedPages, 10) || 1, 1), MAX_RESTORED_PAGES)
+        : 1
+      const requestPage = infiniteScroll ? 0 : page
+      const requestSize = size * pagesToLoad
       try {
         const params = {
           search: searchTerm || undefined,
-          sort: sortBy || undefined,
-          category: category || undefined,
-          minPrice: minPrice || undefined,
-          maxPrice: maxPrice || undefined,
-          page,
-          size,
+          ...toFacetParams(filters),
+        }
+        // Facet counts follow the same query; the product list still shows if they fail
+        const [response] = await Promise.all([
+          productService.getAll({ ...params, sort: sortBy || undefined, page: requestPage, size: requestSize }),
+          productService
+            .getFacets(params)
+            .then((facetResponse) => !cancelled && setFacets(facetResponse.data))
+            .catch((error) => console.error('Error fetching facets:', error)),
+        ])
+        if (cancelled) return
+        const result = toPage(response.data, requestPage, requestSize)
+        setProducts(result.content)
+        setTotalElements(result.totalElements)
+        setTotalPages(Math.max(1, Math.ceil(result.totalElements / size)))
+        setLoadedPages(pagesToLoad)
+        setDidYouMean(null)
+        if (result.totalElements === 0 && searchTerm) {
+          productService
+            .suggest(searchTerm)
+            .then((suggestResponse) => !cancelled && setDidYouMean(suggestResponse.data?.didYouMean || null))
+            .catch((error) => console.error('Error fetching suggestions:', error))
         }
-        const response = await productService.getAll(params)
-        setProducts(response.data)
       } catch (error) {
+        if (cancelled) return
         console.error('Error fetching products:', error)
         setProducts([])
+        setTotalElements(0)
+        setTotalPages(1)
       } finally {
-        setLoading(false)
+        if (!cancelled) setLoading(false)
       }
     }
 
     // Debounce search slightly
     const id = setTimeout(() => fetchProducts(), 300)
-    return () => clearTimeout(id)
-  }, [searchTerm, sortBy, category, minPrice, maxPrice, page, size])
+    return () => {
+      cancelled = true
+      clearTimeout(id)
+    }
+  }, [queryKey, infiniteScroll])
 
   /**
-   * useEffect Hook #2 - Filters products based on search term
-   * 
-   * WHAT IT DOES:
-   * - Watches for changes in searchTerm or products array
-   * - Filters products that match the search term (name or description)
-   * - Updates filteredProducts state with matching products
-   * 
-   * FLOW:
-   * 1. User types in search box → searchTerm state updates
-   * 2. This effect detects change → runs filter logic
-   * 3. Filters products array by checking if name/description contains search term
-   * 4. Updates filteredProducts → component re-renders
-   * 5. Grid displays only matching products
-   * 
-   * WHAT HAPPENS NEXT:
-   * - If search term is empty: shows all products
-   * - If search term matches: shows filtered products
-   * - If no matches: shows "No products found" message
+   * loadMore - Appends the next page (infinite scroll mode)
+   * Ignored if the query changed while the request was in flight
    */
-  // products comes from server already filtered; show directly
+  const loadMore = async () => {
+    if (loadingMore || loadedPages >= totalPages) return
+    const requestKey = queryKey
+    setLoadingMore(true)
+    try {
+      const response = await productService.getAll({
+        search: searchTerm || undefined,
+        ...toFacetParams(filters),
+        sort: sortBy || undefined,
+        page: loadedPages,
+        size,
+      })
+      if (queryKeyRef.current !== requestKey) return
+      const result = toPage(response.data, loadedPages, size)
+      // The catalog may have changed between pages; skip products that are already shown
+      setProducts((prev) => [...prev, ...result.content.filter((product) => !prev.some((p) => p.id === product.id))])
+      setTotalElements(result.totalElements)
+      setLoadedPages(loadedPages + 1)
+    } catch (error) {
+      console.error('Error fetching more products:', error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  // Infinite scroll: load the next page when the sentinel under the grid comes into view
+  useEffect(() => {
+    if (!infiniteScroll || loading || !sentinelRef.current) return
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore()
+      },
+      { rootMargin: '400px' }
+    )
+    observer.observe(sentinelRef.current)
+    return () => observer.disconnect()
+  })
+
+  // Restore the saved scroll position once the products it belongs to are rendered
+  useEffect(() => {
+    if (loading || !pendingScrollRef.current) return
+    window.scrollTo(0, pendingScrollRef.current.scrollY)
+    pendingScrollRef.current = null
+  }, [loading])
+
+  // Track the scroll position and save it when leaving, so Back from a product page can restore it
+  useEffect(() => {
+    const handleScroll = () => {
+      scrollStateRef.current.scrollY = window.scrollY
+    }
+    window.addEventListener('scroll', handleScroll, { passive: true })
+    return () => {
+      window.removeEventListener('scroll', handleScroll)
+      sessionStorage.setItem(SCROLL_KEY, JSON.stringify({ queryKey: queryKeyRef.current, ...scrollStateRef.current }))
+    }
+  }, [])
+
+  const handlePageChange = (newPage) => {
+    updateQuery({ page: newPage })
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const handleViewModeChange = (infinite) => {
+    localStorage.setItem(VIEW_MODE_KEY, String(infinite))
+    setInfiniteScroll(infinite)
+    // Infinite scroll always starts from the first page
+    if (infinite && page > 0) updateQuery({ page: 0 }, true)
+  }
+
+  // products comes from the server already searched, filtered and sorted; show directly
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -112,43 +256,107 @@ const Products = () => {
       
       {/* Search & Filters */}
       <div className="mb-8 flex flex-col md:flex-row md:items-center md:space-x-4 gap-4">
-        <input
-          type="text"
-          placeholder="Search products..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          className="w-full md:w-1/3 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-        />
-        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="px-3 py-2 border rounded">
+        {/* Searching happens in the Navbar's SearchBar, which links here with ?q= */}
+        {searchTerm && (
+          <p className="text-gray-700">
+            Results for <span className="font-semibold">"{searchTerm}"</span>{' '}
+            <button onClick={() => updateQuery({ search: '', page: 0 })} className="text-sm text-indigo-600 hover:underline">
+              Clear search
+            </button>
+          </p>
+        )}
+        <select value={sortBy} onChange={(e) => updateQuery({ sort: e.target.value, page: 0 })} className="px-3 py-2 border rounded">
           <option value="">Sort By</option>
           <option value="price_asc">Price: Low → High</option>
           <option value="price_desc">Price: High → Low</option>
           <option value="name_asc">Name: A → Z</option>
           <option value="name_desc">Name: Z → A</option>
         </select>
-        <input type="text" placeholder="Category" value={category} onChange={(e)=>setCategory(e.target.value)} className="px-3 py-2 border rounded" />
-        <input type="number" placeholder="Min price" value={minPrice} onChange={(e)=>setMinPrice(e.target.value)} className="px-3 py-2 border rounded" />
-        <input type="number" placeholder="Max price" value={maxPrice} onChange={(e)=>setMaxPrice(e.target.value)} className="px-3 py-2 border rounded" />
+        <select
+          value={size}
+          onChange={(e) => updateQuery({ size: Number(e.target.value), page: 0 })}
+          aria-label="Products per page"
+          className="px-3 py-2 border rounded"
+        >
+          {PAGE_SIZE_OPTIONS.map((option) => (
+            <option key={option} value={option}>
+              {option} per page
+            </option>
+          ))}
+        </select>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={infiniteScroll}
+            onChange={(e) => handleViewModeChange(e.target.checked)}
+            className="mr-2"
+          />
+          Infinite scroll
+        </label>
       </div>
 
-      {loading ? (
-        <div className="text-center py-12">
-          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        <div className="lg:col-span-1">
+          <FacetSidebar
+            facets={facets}
+            filters={filters}
+            onChange={(next) => updateQuery({ filters: next, page: 0 })}
+          />
         </div>
-      ) : products.length === 0 ? (
-        <div className="text-center py-12">
-          <p className="text-gray-600 text-lg">No products found.</p>
+        <div className="lg:col-span-3">
+          {loading ? (
+            <div className="text-center py-12">
+              <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : products.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-600 text-lg">No products found.</p>
+              {didYouMean && (
+                <p className="text-gray-700 mt-2">
+                  Did you mean{' '}
+                  <button
+                    onClick={() => updateQuery({ search: didYouMean, page: 0 })}
+                    className="font-semibold text-indigo-600 hover:underline"
+                  >
+                    {didYouMean}
+                  </button>
+                  ?
+                </p>
+              )}
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                {infiniteScroll
+                  ? `Showing ${products.length} of ${totalElements} products`
+                  : `Showing ${page * size + 1}–${page * size + products.length} of ${totalElements} products`}
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                {products.map((product) => (
+                  <ProductCard key={product.id} product={product} />
+                ))}
+              </div>
+              {infiniteScroll ? (
+                loadedPages < totalPages && (
+                  <div ref={sentinelRef} className="text-center py-8">
+                    {loadingMore ? (
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+                    ) : (
+                      <button onClick={loadMore} className="text-indigo-600 hover:underline">
+                        Load more
+                      </button>
+                    )}
+                  </div>
+                )
+              ) : (
+                <Pagination page={page} totalPages={totalPages} onPageChange={handlePageChange} />
+              )}
+            </>
+          )}
         </div>
-      ) : (
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-          {products.map((product) => (
-            <ProductCard key={product.id} product={product} />
-          ))}
-        </div>
-      )}
+      </div>
     </div>
   )
 }
 
 export default Products
-
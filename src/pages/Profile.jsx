@@ -0,0 +1,243 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { userService } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { toast } from 'react-toastify'
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600'
+
+/**
+ * Profile Component - The logged-in user's account settings
+ *
+ * WHAT IT DOES:
+ * - Shows and edits the user's name and email
+ * - Changes the password (current password required)
+ * - Deletes the account (password + confirmation required)
+ *
+ * FLOW:
+ * 1. Component mounts → loads the latest profile from the backend
+ * 2. User saves profile → userService.update() → AuthContext.updateUser()
+ *    → cached user in localStorage and the Navbar name update
+ * 3. User changes password → userService.changePassword()
+ * 4. User deletes account → userService.delete() → logout → home page
+ *
+ * RETURNS:
+ * - JSX with profile, password and danger-zone sections
+ */
+const Profile = () => {
+  const { user, login, logout, updateUser } = useAuth()
+  const navigate = useNavigate()
+
+  const [profile, setProfile] = useState({ name: user.name || '', email: user.email || '' })
+  const [savingProfile, setSavingProfile] = useState(false)
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
+  const [savingPassword, setSavingPassword] = useState(false)
+  const [deletePassword, setDeletePassword] = useState('')
+
+  /**
+   * Loads the latest profile so edits start from the server's data, not a stale cache
+   */
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await userService.getById(user.id)
+        setProfile({ name: response.data.name || '', email: response.data.email || '' })
+      } catch (error) {
+        // Keep the cached values if the profile can't be loaded
+        console.error('Error fetching profile:', error)
+      }
+    }
+    fetchProfile()
+  }, [user.id])
+
+  /**
+   * Saves name and email, then refreshes the cached user
+   * @param e - Form submit event
+   */
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+    setSavingProfile(true)
+    try {
+      const response = await userService.update(user.id, profile)
+      // Backend may return { token, user } when the email (token subject) changed
+      if (response.data?.token) {
+        login(response.data.token, response.data.user)
+      } else {
+        updateUser({ ...user, ...profile, ...(response.data || {}) })
+      }
+      toast.success('Profile updated!')
+    } catch (error) {
+      toast.error('Failed to update profile: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  /**
+   * Changes the password after checking the two new-password fields match
+   * @param e - Form submit event
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error('New passwords do not match!')
+      return
+    }
+    setSavingPassword(true)
+    try {
+      // A 401 here means the current password was wrong, not that the session ended
+      await userService.changePassword(
+        user.id,
+        { currentPassword: passwords.currentPassword, newPassword: passwords.newPassword },
+        { skipAuthRedirect: true }
+      )
+      toast.success('Password changed!')
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' })
+    } catch (error) {
+      toast.error('Failed to change password: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  /**
+   * Deletes the account and logs the user out
+   * @param e - Form submit event
+   */
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault()
+    if (!window.confirm('This permanently deletes your account. Continue?')) {
+      return
+    }
+    try {
+      await userService.delete(user.id, deletePassword, { skipAuthRedirect: true })
+      logout()
+      toast.success('Your account has been deleted.')
+      navigate('/')
+    } catch (error) {
+      toast.error('Failed to delete account: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold text-gray-800">My Profile</h1>
+        <div className="flex gap-4">
+          <Link to="/account/addresses" className="text-indigo-600 hover:underline">
+            Address Book
+          </Link>
+          <Link to="/account/orders" className="text-indigo-600 hover:underline">
+            My Orders
+          </Link>
+        </div>
+      </div>
+
+      {/* Profile Details */}
+      <form onSubmit={handleProfileSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h2 className="text-xl font-bold text-gray-800">Account Details</h2>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Full Name</label>
+          <input
+            type="text"
+            value={profile.name}
+            onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Email</label>
+          <input
+            type="email"
+            value={profile.email}
+            onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            required
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={savingProfile}
+          className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {savingProfile ? 'Saving...' : 'Save Changes'}
+        </button>
+      </form>
+
+      {/* Change Password */}
+      <form onSubmit={handlePasswordSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h2 className="text-xl font-bold text-gray-800">Change Password</h2>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Current Password</label>
+          <input
+            type="password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+            required
+            autoComplete="current-password"
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-gray-700 font-semibold mb-2">New Password</label>
+            <input
+              type="password"
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              required
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-gray-700 font-semibold mb-2">Confirm New Password</label>
+            <input
+              type="password"
+              value={passwords.confirmPassword}
+              onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              required
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={savingPassword}
+          className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {savingPassword ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      {/* Delete Account */}
+      <form onSubmit={handleDeleteAccount} className="bg-white rounded-lg shadow-md p-6 space-y-4 border border-red-200">
+        <h2 className="text-xl font-bold text-red-600">Delete Account</h2>
+        <p className="text-gray-600 text-sm">
+          Deleting your account removes your profile and saved data. Past orders are kept for our records.
+        </p>
+        <div>
+          <label className="block text-gray-700 font-semibold mb-2">Confirm with your password</label>
+          <input
+            type="password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+            required
+            autoComplete="current-password"
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-red-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-red-700 transition"
+        >
+          Delete My Account
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default Profile
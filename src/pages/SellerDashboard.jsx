@@ -1,7 +1,15 @@
 import { useEffect, useState } from 'react'
-import { sellerService, uploadService } from '../services/api'
+import { sellerService, productService } from '../services/api'
 import { toast } from 'react-toastify'
-import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { TAX_CATEGORIES } from '../pricing/tax'
+import { normalizeProductVariants } from '../utils/variants'
+import VariantEditor from '../components/VariantEditor'
+import ImageManager from '../components/ImageManager'
+import SellerReviews from '../components/SellerReviews'
+import FacetSidebar from '../components/FacetSidebar'
+import { EMPTY_FILTERS, toFacetParams } from '../utils/facets'
+import { getProductImages } from '../utils/images'
 
 /**
  * SellerDashboard Component - Seller control panel for managing products and orders
@@ -10,7 +18,8 @@ import { useNavigate } from 'react-router-dom'
  * - Displays seller statistics (products, orders, revenue)
  * - Lists seller's products with edit/delete options
  * - Lists orders containing seller's products
- * - Allows seller to create new products
+ * - Lists reviews of seller's products and lets the seller reply publicly
+ * - Allows seller to create new products, optionally with options and variants
  * - Shows low stock alerts
  * 
  * FLOW:
@@ -23,11 +32,9 @@ import { useNavigate } from 'react-router-dom'
  * - JSX with statistics, product management, and order list
  */
 const SellerDashboard = () => {
-  const navigate = useNavigate()
-  
-  // Get seller ID from localStorage (set after login)
-  const user = JSON.parse(localStorage.getItem('user') || '{}')
-  const sellerId = user.id
+  // Get seller ID from AuthContext (RequireRole guarantees a logged-in SELLER)
+  const { user } = useAuth()
+  const sellerId = user?.id
 
   // State to store seller statistics
   const [statistics, setStatistics] = useState(null)
@@ -44,9 +51,12 @@ const SellerDashboard = () => {
   // Product query/filter state
   const [prodSearch, setProdSearch] = useState('')
   const [prodSort, setProdSort] = useState('')
-  const [prodCategory, setProdCategory] = useState('')
-  const [prodMinPrice, setProdMinPrice] = useState('')
-  const [prodMaxPrice, setProdMaxPrice] = useState('')
+  // Facet filters (same sidebar as the catalog, limited to this seller's products)
+  const [prodFilters, setProdFilters] = useState(EMPTY_FILTERS)
+  const [prodFacets, setProdFacets] = useState(null)
+  const [productsLoading, setProductsLoading] = useState(true)
+  // Bumped after create/update/delete so the filtered list and facet counts reload
+  const [productsRefreshKey, setProductsRefreshKey] = useState(0)
 
   // Orders query/filter state
   const [orderSearch, setOrderSearch] = useState('')
@@ -60,25 +70,26 @@ const SellerDashboard = () => {
     description: '',
     price: '',
     imageUrl: '',
+    // Ordered image URLs, main image first (managed by ImageManager)
+    images: [],
     stockQuantity: 0,
-    category: ''
+    category: '',
+    taxCategory: TAX_CATEGORIES.STANDARD,
+    // Option axes and one variant per combination (see VariantEditor)
+    options: [],
+    variants: []
   })
-  // image handling: either upload a local file or paste an external URL
-  const [imageMode, setImageMode] = useState('url') // 'url' or 'file'
-  const [imageFile, setImageFile] = useState(null)
   const [editingProductId, setEditingProductId] = useState(null)
   const [editProduct, setEditProduct] = useState(null)
-  const [editImageMode, setEditImageMode] = useState('url')
-  const [editImageFile, setEditImageFile] = useState(null)
 
   /**
    * useEffect Hook - Fetches data when component mounts
    * 
    * WHAT IT DOES:
    * - Fetches seller statistics
-   * - Fetches seller's products
    * - Fetches seller's orders
    * - Updates state with fetched data
+   * (products are fetched by the next effect, which follows the product filters)
    * 
    * FLOW:
    * 1. Component mounts → this effect runs
@@ -86,36 +97,20 @@ const SellerDashboard = () => {
    * 3. Updates state → component re-renders with data
    */
   useEffect(() => {
-    // Check if user is logged in and is a seller
-    if (!sellerId) {
-      // If not logged in, redirect to login
-      navigate('/login')
-      return
-    }
-
     const fetchData = async () => {
       setLoading(true)
       try {
-        const prodParams = {
-          search: prodSearch || undefined,
-          sort: prodSort || undefined,
-          category: prodCategory || undefined,
-          minPrice: prodMinPrice || undefined,
-          maxPrice: prodMaxPrice || undefined,
-        }
         const orderParams = {
           search: orderSearch || undefined,
           status: orderStatus || undefined,
           sort: orderSort || undefined,
         }
-        // Fetch stats, products, and orders (products/orders use query params)
-        const [statsResponse, productsResponse, ordersResponse] = await Promise.all([
+        // Fetch stats and orders (orders use query params)
+        const [statsResponse, ordersResponse] = await Promise.all([
           sellerService.getStatistics(sellerId),
-          sellerService.getProducts(sellerId, prodParams),
           sellerService.getOrders(sellerId, orderParams)
         ])
         setStatistics(statsResponse.data)
-        setProducts(productsResponse.data)
         setOrders(ordersResponse.data)
       } catch (error) {
         console.error('Error fetching data:', error)
@@ -130,7 +125,44 @@ const SellerDashboard = () => {
     // Debounce fetch to avoid rapid requests when user types
     const id = setTimeout(() => fetchData(), 300)
     return () => clearTimeout(id)
-  }, [sellerId, navigate])
+  }, [sellerId])
+
+  /**
+   * useEffect Hook - Fetches the seller's products and their facet counts
+   * Re-runs when the search, sort or facet filters change
+   */
+  useEffect(() => {
+    // Set when the filters change again, so an older, slower response can't overwrite newer results
+    let cancelled = false
+    const fetchProducts = async () => {
+      setProductsLoading(true)
+      // The seller facet is hidden here; sellerId always comes from the logged-in seller
+      const { sellerId: _sellerFacet, ...facetParams } = toFacetParams(prodFilters)
+      const query = { search: prodSearch || undefined, ...facetParams }
+      try {
+        const [productsResponse] = await Promise.all([
+          sellerService.getProducts(sellerId, { ...query, sort: prodSort || undefined }),
+          productService
+            .getFacets({ ...query, sellerId })
+            .then((response) => !cancelled && setProdFacets(response.data))
+            .catch((error) => console.error('Error fetching facets:', error)),
+        ])
+        if (cancelled) return
+        setProducts(productsResponse.data)
+      } catch (error) {
+        if (cancelled) return
+        toast.error('Failed to load products: ' + (error.response?.data?.error || error.message))
+      } finally {
+        if (!cancelled) setProductsLoading(false)
+      }
+    }
+
+    const id = setTimeout(() => fetchProducts(), 300)
+    return () => {
+      cancelled = true
+      clearTimeout(id)
+    }
+  }, [sellerId, prodSearch, prodSort, prodFilters, productsRefreshKey])
 
   /**
    * handleCreateProduct - Creates a new product for the seller
@@ -143,43 +175,26 @@ const SellerDashboard = () => {
   const handleCreateProduct = async (e) => {
     e.preventDefault()
     try {
-      // If uploading file, validate and upload to Cloudinary first
-      let productToCreate = { ...newProduct }
-      if (imageMode === 'file' && imageFile) {
-        // Validate file format
-        const validFormats = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff']
-        if (!validFormats.includes(imageFile.type)) {
-          toast.error('Invalid image format. Supported: JPG, PNG, GIF, WebP, BMP, TIFF')
-          return
-        }
-        // Validate file size (5MB max)
-        if (imageFile.size > 5 * 1024 * 1024) {
-          toast.error('File size exceeds 5MB limit')
-          return
-        }
-        
-        const uploadResp = await uploadService.uploadImage(imageFile)
-        // backend returns { url }
-        if (uploadResp.data?.error) {
-          toast.error('Image upload failed: ' + uploadResp.data.error)
-          return
-        }
-        productToCreate.imageUrl = uploadResp.data?.url || ''
-      }
+      // Images are uploaded by ImageManager as they are added; the first one is the main image
+      let productToCreate = { ...newProduct, imageUrl: newProduct.images[0] || '' }
       // Convert price to number
       productToCreate.price = parseFloat(productToCreate.price)
+      // Variant prices/stock to numbers; product stock becomes the variants' total
+      const { product: normalized, error: variantError } = normalizeProductVariants(productToCreate)
+      if (variantError) {
+        toast.error(variantError)
+        return
+      }
+      productToCreate = normalized
       // Create product through seller service (sends sellerId as query param)
       await sellerService.createProduct(productToCreate, sellerId)
       // Show success notification
       toast.success('Product created successfully!')
       // Refresh product list
-      const productsResponse = await sellerService.getProducts(sellerId)
-      setProducts(productsResponse.data)
+      setProductsRefreshKey((key) => key + 1)
       // Reset form and close
-      setNewProduct({ name: '', description: '', price: '', imageUrl: '', stockQuantity: 0, category: '' })
+      setNewProduct({ name: '', description: '', price: '', imageUrl: '', images: [], stockQuantity: 0, category: '', taxCategory: TAX_CATEGORIES.STANDARD, options: [], variants: [] })
       setShowCreateForm(false)
-      setImageFile(null)
-      setImageMode('url')
     } catch (error) {
       // If creation fails, show error
       toast.error('Failed to create product: ' + (error.response?.data?.error || error.message))
@@ -193,11 +208,13 @@ const SellerDashboard = () => {
       description: product.description,
       price: product.price,
       imageUrl: product.imageUrl,
+      images: getProductImages(product),
       stockQuantity: product.stockQuantity,
-      category: product.category
+      category: product.category,
+      taxCategory: product.taxCategory || TAX_CATEGORIES.STANDARD,
+      options: product.options || [],
+      variants: product.variants || []
     })
-    setEditImageMode('url')
-    setEditImageFile(null)
     window.scrollTo({ top: 0, behavior: 'smooth' })
     setShowCreateForm(true)
   }
@@ -205,41 +222,24 @@ const SellerDashboard = () => {
   const handleCancelEdit = () => {
     setEditingProductId(null)
     setEditProduct(null)
-    setEditImageFile(null)
     setShowCreateForm(false)
   }
 
   const handleUpdateProduct = async (e) => {
     e.preventDefault()
     try {
-      let productToUpdate = { ...editProduct }
-      if (editImageMode === 'file' && editImageFile) {
-        // Validate file format
-        const validFormats = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff']
-        if (!validFormats.includes(editImageFile.type)) {
-          toast.error('Invalid image format. Supported: JPG, PNG, GIF, WebP, BMP, TIFF')
-          return
-        }
-        // Validate file size (5MB max)
-        if (editImageFile.size > 5 * 1024 * 1024) {
-          toast.error('File size exceeds 5MB limit')
-          return
-        }
-        
-        const uploadResp = await uploadService.uploadImage(editImageFile)
-        // Check for upload errors
-        if (uploadResp.data?.error) {
-          toast.error('Image upload failed: ' + uploadResp.data.error)
-          return
-        }
-        productToUpdate.imageUrl = uploadResp.data?.url || ''
-      }
+      let productToUpdate = { ...editProduct, imageUrl: editProduct.images[0] || '' }
       // Convert price to number
       productToUpdate.price = parseFloat(productToUpdate.price)
+      const { product: normalized, error: variantError } = normalizeProductVariants(productToUpdate)
+      if (variantError) {
+        toast.error(variantError)
+        return
+      }
+      productToUpdate = normalized
       await sellerService.updateProduct(editingProductId, productToUpdate, sellerId)
       toast.success('Product updated successfully!')
-      const productsResponse = await sellerService.getProducts(sellerId)
-      setProducts(productsResponse.data)
+      setProductsRefreshKey((key) => key + 1)
       handleCancelEdit()
     } catch (error) {
       toast.error('Failed to update product: ' + (error.response?.data?.error || error.message))
@@ -270,8 +270,7 @@ const SellerDashboard = () => {
       // Show success notification
       toast.success('Product deleted successfully!')
       // Refresh product list (remove deleted product)
-      const productsResponse = await sellerService.getProducts(sellerId)
-      setProducts(productsResponse.data)
+      setProductsRefreshKey((key) => key + 1)
     } catch (error) {
       // If deletion fails, show error
       toast.error('Failed to delete product: ' + (error.response?.data?.error || error.message))
@@ -335,9 +334,6 @@ const SellerDashboard = () => {
             <option value="name_asc">Name A→Z</option>
             <option value="name_desc">Name Z→A</option>
           </select>
-          <input type="text" placeholder="Category" value={prodCategory} onChange={(e)=>setProdCategory(e.target.value)} className="px-3 py-2 border rounded" />
-          <input type="number" placeholder="Min" value={prodMinPrice} onChange={(e)=>setProdMinPrice(e.target.value)} className="px-3 py-2 border rounded w-24" />
-          <input type="number" placeholder="Max" value={prodMaxPrice} onChange={(e)=>setProdMaxPrice(e.target.value)} className="px-3 py-2 border rounded w-24" />
         </div>
 
         {/* Create Product Form */}
@@ -375,80 +371,23 @@ const SellerDashboard = () => {
                   rows="3"
                 />
               </div>
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">Image URL</label>
-                  <div className="flex items-center space-x-4">
-                    <label className="inline-flex items-center">
-                      <input
-                        type="radio"
-                        name="imageMode"
-                        value="url"
-                        checked={editingProductId ? editImageMode === 'url' : imageMode === 'url'}
-                        onChange={() => editingProductId ? setEditImageMode('url') : setImageMode('url')}
-                        className="mr-2"
-                      />
-                      Use URL
-                    </label>
-                    <label className="inline-flex items-center">
-                      <input
-                        type="radio"
-                        name="imageMode"
-                        value="file"
-                        checked={editingProductId ? editImageMode === 'file' : imageMode === 'file'}
-                        onChange={() => editingProductId ? setEditImageMode('file') : setImageMode('file')}
-                        className="mr-2"
-                      />
-                      Upload File
-                    </label>
-                  </div>
-                  {editingProductId ? (
-                    editImageMode === 'url' ? (
-                      <input
-                        type="url"
-                        value={editProduct?.imageUrl || ''}
-                        onChange={(e) => setEditProduct({ ...editProduct, imageUrl: e.target.value })}
-                        className="w-full mt-2 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                      />
-                    ) : (
-                      <div>
-                        <input
-                          type="file"
-                          accept=".jpg,.jpeg,.png,.gif,.webp,.bmp,.tiff"
-                          onChange={(e) => setEditImageFile(e.target.files[0])}
-                          className="w-full mt-2"
-                        />
-                        <p className="text-xs text-gray-500 mt-1">Supported: JPG, PNG, GIF, WebP, BMP, TIFF (Max 5MB)</p>
-                      </div>
-                    )
-                  ) : (
-                    imageMode === 'url' ? (
-                      <input
-                        type="url"
-                        value={newProduct.imageUrl}
-                        onChange={(e) => setNewProduct({ ...newProduct, imageUrl: e.target.value })}
-                        className="w-full mt-2 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
-                      />
-                    ) : (
-                      <div>
-                        <input
-                          type="file"
-                          accept=".jpg,.jpeg,.png,.gif,.webp,.bmp,.tiff"
-                          onChange={(e) => setImageFile(e.target.files[0])}
-                          className="w-full mt-2"
-                        />
-                        <p className="text-xs text-gray-500 mt-1">Supported: JPG, PNG, GIF, WebP, BMP, TIFF (Max 5MB)</p>
-                      </div>
-                    )
-                  )}
+              <div className="md:col-span-2">
+                <label className="block text-gray-700 font-semibold mb-2">Images</label>
+                <ImageManager
+                  images={editingProductId ? (editProduct?.images || []) : newProduct.images}
+                  onChange={(images) => editingProductId ? setEditProduct({ ...editProduct, images }) : setNewProduct({ ...newProduct, images })}
+                />
               </div>
               <div>
                 <label className="block text-gray-700 font-semibold mb-2">Stock Quantity</label>
+                {/* With variants, stock is set per variant below */}
                 <input
                   type="number"
                   value={editingProductId ? (editProduct?.stockQuantity || 0) : newProduct.stockQuantity}
                   onChange={(e) => editingProductId ? setEditProduct({ ...editProduct, stockQuantity: parseInt(e.target.value) }) : setNewProduct({ ...newProduct, stockQuantity: parseInt(e.target.value) })}
                   required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+                  disabled={(editingProductId ? editProduct?.variants : newProduct.variants)?.length > 0}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600 disabled:bg-gray-100"
                 />
               </div>
               <div>
@@ -460,6 +399,27 @@ const SellerDashboard = () => {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
                 />
               </div>
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Tax Category</label>
+                <select
+                  value={editingProductId ? (editProduct?.taxCategory || TAX_CATEGORIES.STANDARD) : newProduct.taxCategory}
+                  onChange={(e) => editingProductId ? setEditProduct({ ...editProduct, taxCategory: e.target.value }) : setNewProduct({ ...newProduct, taxCategory: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-600"
+                >
+                  <option value={TAX_CATEGORIES.STANDARD}>Standard rate</option>
+                  <option value={TAX_CATEGORIES.REDUCED}>Reduced rate (e.g. food, books)</option>
+                  <option value={TAX_CATEGORIES.EXEMPT}>Tax exempt</option>
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <VariantEditor
+                  key={editingProductId || 'new'}
+                  options={editingProductId ? editProduct?.options : newProduct.options}
+                  variants={editingProductId ? editProduct?.variants : newProduct.variants}
+                  basePrice={editingProductId ? editProduct?.price : newProduct.price}
+                  onChange={({ options, variants }) => editingProductId ? setEditProduct({ ...editProduct, options, variants }) : setNewProduct({ ...newProduct, options, variants })}
+                />
+              </div>
             </div>
             <div className="flex items-center gap-3 mt-4">
               <button
@@ -475,37 +435,58 @@ const SellerDashboard = () => {
           </form>
         )}
 
-        {/* Products List */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {products.map((product) => (
-            <div key={product.id} className="border rounded-lg p-4">
-              <img
-                src={product.imageUrl || 'https://via.placeholder.com/200'}
-                alt={product.name}
-                className="w-full h-48 object-cover rounded-lg mb-2"
-              />
-              <h3 className="font-semibold text-lg mb-1">{product.name}</h3>
-              <p className="text-indigo-600 font-bold mb-2">${product.price}</p>
-              <p className="text-sm text-gray-600 mb-2">Stock: {product.stockQuantity}</p>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => handleEditClick(product)}
-                  className="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 transition text-sm flex-1"
-                >
-                  Edit
-                </button>
-                <button
-                  onClick={() => handleDeleteProduct(product.id)}
-                  className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition text-sm flex-1"
-                >
-                  Delete
-                </button>
+        {/* Products List, filtered by the facet sidebar */}
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-1">
+            <FacetSidebar facets={prodFacets} filters={prodFilters} onChange={setProdFilters} hide={['sellerId']} />
+          </div>
+          <div className="lg:col-span-3">
+            {productsLoading ? (
+              <div className="text-center py-12">
+                <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
               </div>
-            </div>
-          ))}
+            ) : products.length === 0 ? (
+              <p className="text-gray-600 text-center py-8">No products match these filters</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                {products.map((product) => (
+                  <div key={product.id} className="border rounded-lg p-4">
+                    <img
+                      src={product.imageUrl || 'https://via.placeholder.com/200'}
+                      alt={product.name}
+                      className="w-full h-48 object-cover rounded-lg mb-2"
+                    />
+                    <h3 className="font-semibold text-lg mb-1">{product.name}</h3>
+                    <p className="text-indigo-600 font-bold mb-2">${product.price}</p>
+                    <p className="text-sm text-gray-600 mb-2">
+                      Stock: {product.stockQuantity}
+                      {product.variants?.length > 0 && ` (${product.variants.length} variants)`}
+                    </p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleEditClick(product)}
+                        className="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 transition text-sm flex-1"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDeleteProduct(product.id)}
+                        className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition text-sm flex-1"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
+      {/* Reviews Section */}
+      <SellerReviews sellerId={sellerId} />
+
       {/* Orders Section */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h2 className="text-2xl font-bold text-gray-800 mb-6">My Orders</h2>
@@ -0,0 +1,104 @@
+import { Link } from 'react-router-dom'
+import { FaTrash, FaShoppingCart } from 'react-icons/fa'
+import { useWishlist } from '../context/WishlistContext'
+import { useCart } from '../context/CartContext'
+import { toast } from 'react-toastify'
+import { hasVariants } from '../utils/variants'
+
+/**
+ * Wishlist Component - Products saved for later
+ *
+ * WHAT IT DOES:
+ * - Lists the products on the wishlist (saved with the heart button or "Save for later")
+ * - Moves a product to the cart (removed from the wishlist once it's in the cart);
+ *   products with options (size, color) link to their page to choose a variant first
+ * - Removes products from the wishlist
+ *
+ * RETURNS:
+ * - JSX with the saved products, or an empty-state message
+ */
+const Wishlist = () => {
+  const { wishlistItems, removeFromWishlist } = useWishlist()
+  const { addToCart } = useCart()
+
+  /**
+   * Moves one product into the cart; stays on the wishlist if there's no stock left
+   * @param product - Wishlist item
+   */
+  const handleMoveToCart = (product) => {
+    if (addToCart(product) === 0) {
+      toast.error(`${product.name} is out of stock`)
+      return
+    }
+    removeFromWishlist(product.id)
+    toast.success('Moved to your cart!')
+  }
+
+  if (wishlistItems.length === 0) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">Your Wishlist is Empty</h1>
+        <p className="text-gray-600 mb-8">Tap the heart on a product to save it for later.</p>
+        <Link
+          to="/products"
+          className="bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+        >
+          Browse Products
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">My Wishlist</h1>
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {wishlistItems.map((item) => (
+          <div key={item.id} className="p-6 border-b border-gray-200 last:border-b-0">
+            <div className="flex items-center space-x-4">
+              <Link to={`/product/${item.id}`}>
+                <img
+                  src={item.imageUrl || 'https://via.placeholder.com/100'}
+                  alt={item.name}
+                  className="w-24 h-24 object-cover rounded-lg"
+                />
+              </Link>
+              <div className="flex-1">
+                <Link to={`/product/${item.id}`} className="text-lg font-semibold text-gray-800 hover:text-indigo-600">
+                  {item.name}
+                </Link>
+                <p className="text-indigo-600 font-bold text-xl">${item.price}</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {hasVariants(item) ? (
+                  <Link
+                    to={`/product/${item.id}`}
+                    className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+                  >
+                    Choose Options
+                  </Link>
+                ) : (
+                  <button
+                    onClick={() => handleMoveToCart(item)}
+                    className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+                  >
+                    <FaShoppingCart /> Move to Cart
+                  </button>
+                )}
+                <button
+                  onClick={() => removeFromWishlist(item.id)}
+                  aria-label="Remove from wishlist"
+                  className="p-2 text-red-600 hover:bg-red-50 rounded"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Wishlist
@@ -0,0 +1,66 @@
+import { paymentService } from '../services/api'
+import { PAYMENT_STATUS } from './status'
+
+// Gateway's browser SDK; it opens the gateway's own hosted card form
+// Without it the card option isn't offered at all (see .env.example)
+const SDK_URL = import.meta.env.VITE_PAYMENT_SDK_URL
+
+export const isCardPaymentConfigured = Boolean(SDK_URL)
+
+let sdkPromise = null
+
+/**
+ * loadGatewaySdk - Injects the gateway script once and resolves to window.PaymentGateway
+ * @returns {Promise<Object>} The gateway SDK
+ */
+const loadGatewaySdk = () => {
+  if (window.PaymentGateway) return Promise.resolve(window.PaymentGateway)
+  if (!SDK_URL) return Promise.reject(new Error('Card payments are not configured (VITE_PAYMENT_SDK_URL is missing)'))
+  if (!sdkPromise) {
+    sdkPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = SDK_URL
+      script.async = true
+      script.onload = () => resolve(window.PaymentGateway)
+      script.onerror = () => {
+        sdkPromise = null
+        reject(new Error('Could not load the payment gateway'))
+      }
+      document.head.appendChild(script)
+    })
+  }
+  return sdkPromise
+}
+
+/**
+ * Card Provider - Tokenized card payments through the gateway's hosted form
+ * 
+ * FLOW:
+ * 1. Backend creates a payment intent for the order → { clientSecret, publishableKey }
+ * 2. Gateway SDK opens its hosted card form; card data goes straight to the gateway
+ * 3. SDK resolves to { status: 'succeeded' | 'failed' | 'cancelled', paymentId, error }
+ * 4. The paymentId is returned as the reference for the backend to verify
+ */
+const cardProvider = {
+  id: 'card',
+  label: 'Credit / Debit Card',
+  description: "You'll enter your card details in the payment gateway's secure window.",
+  pay: async (order) => {
+    const { data: intent } = await paymentService.createIntent(order.id, 'card')
+    const gateway = await loadGatewaySdk()
+    const outcome = await gateway.checkout({
+      clientSecret: intent.clientSecret,
+      publishableKey: intent.publishableKey,
+      amount: order.total,
+    })
+    if (outcome.status === 'succeeded') {
+      return { status: PAYMENT_STATUS.SUCCEEDED, reference: outcome.paymentId }
+    }
+    if (outcome.status === 'cancelled') {
+      return { status: PAYMENT_STATUS.CANCELLED }
+    }
+    return { status: PAYMENT_STATUS.FAILED, error: outcome.error || 'Your card was declined.' }
+  },
+}
+
+export default cardProvider
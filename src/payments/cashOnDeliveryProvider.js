@@ -0,0 +1,14 @@
+import { PAYMENT_STATUS } from './status'
+
+/**
+ * Cash on Delivery Provider - Nothing to charge now
+ * The backend confirms the order and collects payment when it is delivered
+ */
+const cashOnDeliveryProvider = {
+  id: 'cod',
+  label: 'Cash on Delivery',
+  description: 'Pay in cash when your order arrives.',
+  pay: async () => ({ status: PAYMENT_STATUS.SUCCEEDED, reference: null }),
+}
+
+export default cashOnDeliveryProvider
@@ -0,0 +1,86 @@
+import { paymentService } from '../services/api'
+import { PAYMENT_STATUS } from './status'
+import cardProvider, { isCardPaymentConfigured } from './cardProvider'
+import cashOnDeliveryProvider from './cashOnDeliveryProvider'
+import mockProvider from './mockProvider'
+
+/**
+ * Payments - Registry of payment providers and the shared payment step
+ * 
+ * WHAT IT DOES:
+ * - Lists the providers offered at checkout (card only when its gateway SDK is configured,
+ *   mock only in development)
+ * - Runs a provider for an order in PENDING_PAYMENT status
+ * - Tells the backend the outcome; only a confirmed payment completes the order
+ * 
+ * PROVIDER SHAPE:
+ * - id, label, description
+ * - options (optional): [{ value, label }] shown as a select, passed to pay() as details.outcome
+ * - pay(order, details): Promise<{ status, reference?, error? }>, status from PAYMENT_STATUS
+ */
+
+export { PAYMENT_STATUS }
+
+const PROVIDERS = [
+  ...(isCardPaymentConfigured ? [cardProvider] : []),
+  cashOnDeliveryProvider,
+  ...(import.meta.env.DEV ? [mockProvider] : []),
+]
+
+/**
+ * getPaymentProviders - Providers available in this build
+ * @returns {Array} Provider objects
+ */
+export const getPaymentProviders = () => PROVIDERS
+
+/**
+ * getPaymentProvider - Looks up a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|undefined} Provider
+ */
+export const getPaymentProvider = (id) => PROVIDERS.find((provider) => provider.id === id)
+
+/**
+ * processPayment - Runs the payment step for a created order
+ * 
+ * FLOW:
+ * 1. Provider's pay() runs (a thrown error counts as a failure)
+ * 2. Success → paymentService.confirm() so the backend verifies and marks the order paid
+ *    (if that call fails the customer has still been charged, so the result becomes
+ *    CONFIRMATION_PENDING rather than a failure: no failure is reported, no retry offered)
+ * 3. Failure → paymentService.reportFailure() (best effort)
+ * 4. Cancellation → nothing is sent; the order stays PENDING_PAYMENT for a retry
+ * 
+ * @param {Object} order - Created order (needs id and total)
+ * @param {string} providerId - Selected provider id
+ * @param {Object} details - Provider-specific details (e.g. { outcome } for the mock)
+ * @returns {Promise<Object>} { status, reference?, error? }
+ */
+export const processPayment = async (order, providerId, details = {}) => {
+  const provider = getPaymentProvider(providerId)
+  let result
+  try {
+    if (!provider) throw new Error('Unknown payment method')
+    result = await provider.pay(order, details)
+  } catch (error) {
+    result = { status: PAYMENT_STATUS.FAILED, error: error.response?.data?.error || error.message }
+  }
+
+  if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+    try {
+      await paymentService.confirm(order.id, { provider: providerId, reference: result.reference })
+    } catch (error) {
+      result = {
+        status: PAYMENT_STATUS.CONFIRMATION_PENDING,
+        reference: result.reference,
+        error: error.response?.data?.error || error.message,
+      }
+    }
+  }
+
+  if (result.status === PAYMENT_STATUS.FAILED) {
+    paymentService.reportFailure(order.id, { provider: providerId, reason: result.error }).catch(() => {})
+  }
+
+  return result
+}
@@ -0,0 +1,31 @@
+import { PAYMENT_STATUS } from './status'
+
+/**
+ * Mock Provider - Local development only (hidden in production builds)
+ * Lets developers pick the outcome to exercise the success, failure and cancel screens
+ */
+const mockProvider = {
+  id: 'mock',
+  label: 'Test Payment (development)',
+  description: 'Simulates a payment without contacting a gateway.',
+  // Rendered as a select by PaymentMethodSelector; chosen value arrives in details.outcome
+  options: [
+    { value: PAYMENT_STATUS.SUCCEEDED, label: 'Succeed' },
+    { value: PAYMENT_STATUS.FAILED, label: 'Fail' },
+    { value: PAYMENT_STATUS.CANCELLED, label: 'Cancel' },
+  ],
+  pay: async (order, details = {}) => {
+    // Short delay so the "processing" state is visible
+    await new Promise((resolve) => setTimeout(resolve, 800))
+    const outcome = details.outcome || PAYMENT_STATUS.SUCCEEDED
+    if (outcome === PAYMENT_STATUS.SUCCEEDED) {
+      return { status: outcome, reference: `mock_${order.id}_${Date.now()}` }
+    }
+    if (outcome === PAYMENT_STATUS.FAILED) {
+      return { status: outcome, error: 'Simulated payment failure.' }
+    }
+    return { status: outcome }
+  },
+}
+
+export default mockProvider
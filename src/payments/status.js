@@ -0,0 +1,10 @@
+// Result of a payment attempt, as reported by a provider's pay()
+// Values double as the last segment of the /checkout/payment/:orderId/... routes
+// CONFIRMATION_PENDING is never returned by a provider: processPayment() uses it when the
+// provider took the payment but the backend could not confirm it yet
+export const PAYMENT_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  CONFIRMATION_PENDING: 'pending',
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { useCart } from '../context/CartContext'
+import { processPayment, PAYMENT_STATUS } from './index'
+import { isExpressCheckoutOrder, endExpressCheckout } from '../utils/expressCheckout'
+import { isCartCheckoutOrder, endCartCheckout } from '../utils/cartCheckout'
+
+/**
+ * usePaymentFlow - Runs processPayment() and routes to the matching screen
+ * 
+ * WHAT IT DOES:
+ * - Success → clears the cart and opens the order confirmation
+ *   (only for the order Checkout placed from the cart as it still is, see utils/cartCheckout;
+ *   a "Buy Now" order ends its express session instead and the cart is left as it was)
+ * - Charged but not yet confirmed → /checkout/payment/:orderId/pending (the cart is cleared
+ *   the same way, since the money has been taken; the reference is passed in location state)
+ * - Failure → /checkout/payment/:orderId/failed (error passed in location state)
+ * - Cancellation → /checkout/payment/:orderId/cancelled
+ * 
+ * RETURNS:
+ * - { pay(order, providerId, details), processing }
+ */
+export const usePaymentFlow = () => {
+  const navigate = useNavigate()
+  const { cartItems, clearCart } = useCart()
+  const [processing, setProcessing] = useState(false)
+
+  const pay = async (order, providerId, details) => {
+    setProcessing(true)
+    const result = await processPayment(order, providerId, details)
+    setProcessing(false)
+
+    const charged = [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.CONFIRMATION_PENDING].includes(result.status)
+    if (charged) {
+      // The cart is kept until the customer is charged so a failed attempt loses nothing
+      if (isExpressCheckoutOrder(order.id)) {
+        endExpressCheckout()
+      } else if (isCartCheckoutOrder(order.id, cartItems)) {
+        clearCart()
+        endCartCheckout()
+      }
+    }
+
+    if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+      toast.success('Order placed successfully!')
+      navigate(`/order/${order.id}/confirmation`, { replace: true })
+    } else {
+      navigate(`/checkout/payment/${order.id}/${result.status}`, {
+        replace: true,
+        state: { error: result.error, reference: result.reference },
+      })
+    }
+    return result
+  }
+
+  return { pay, processing }
+}
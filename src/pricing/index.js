@@ -0,0 +1,43 @@
+import { calculateShipping } from './shipping'
+import { calculateDiscounts, PROMOTION_TYPES } from './promotions'
+import { calculateTax } from './tax'
+
+/**
+ * Pricing - One place that turns cart items into order totals
+ * 
+ * WHAT IT DOES:
+ * - Computes subtotal, shipping, discounts, tax and total for the Cart summary, the Checkout summary
+ *   and the order payload, so all three always agree
+ */
+
+/**
+ * getSubtotal - Sum of price × quantity
+ * @param {Array} items - Cart items
+ * @returns {number} Subtotal
+ */
+export const getSubtotal = (items) => items.reduce((total, item) => total + item.price * item.quantity, 0)
+
+/**
+ * calculateOrderSummary - Totals for a cart
+ * @param {Object} params
+ * @param {Array} params.items - Cart items
+ * @param {string} params.shippingMethod - Selected shipping method id
+ * @param {Object} params.destination - Shipping address ({ zipCode, region, country }); may be empty in the cart
+ * @param {Object} params.promotion - Applied promo code from promotionService, or null
+ * @returns {Object} { subtotal, shipping: { method, cost, isFree, amountToFree }, discounts, discountTotal, tax, total }
+ *   tax is null until the destination country is known (see calculateTax)
+ */
+export const calculateOrderSummary = ({ items, shippingMethod, destination = {}, promotion = null }) => {
+  const subtotal = getSubtotal(items)
+  const shipping = calculateShipping(shippingMethod, { items, subtotal, zipCode: destination.zipCode })
+  const discounts = calculateDiscounts(promotion, { subtotal, shippingCost: shipping.cost })
+  const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0)
+  // Only item discounts lower the taxable amount; free shipping doesn't
+  const itemDiscount = discounts
+    .filter((discount) => discount.type !== PROMOTION_TYPES.FREE_SHIPPING)
+    .reduce((sum, discount) => sum + discount.amount, 0)
+  const tax = calculateTax(items, destination, itemDiscount)
+  // Tax-inclusive prices already contain their tax; only exclusive tax is added
+  const total = Math.round(Math.max(0, subtotal + shipping.cost - discountTotal + (tax?.added || 0)) * 100) / 100
+  return { subtotal, shipping, discounts, discountTotal, tax, total }
+}
@@ -0,0 +1,62 @@
+/**
+ * Promotions - Turns a validated promo code into discount lines
+ * 
+ * PROMOTION SHAPE (from promotionService.validate):
+ * - code: the code the customer entered
+ * - type: 'PERCENTAGE' | 'FIXED_AMOUNT' | 'FREE_SHIPPING'
+ * - value: percent off (PERCENTAGE) or amount off (FIXED_AMOUNT)
+ * - minSubtotal (optional): subtotal needed before the code applies
+ * - description (optional): shown next to the code
+ */
+
+export const PROMOTION_TYPES = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED_AMOUNT: 'FIXED_AMOUNT',
+  FREE_SHIPPING: 'FREE_SHIPPING',
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * isPromotionEligible - Checks the promotion's minimum subtotal
+ * @param {Object} promotion - Validated promotion
+ * @param {number} subtotal - Cart subtotal
+ * @returns {boolean}
+ */
+export const isPromotionEligible = (promotion, subtotal) =>
+  Boolean(promotion) && subtotal >= (Number(promotion.minSubtotal) || 0)
+
+/**
+ * calculateDiscounts - Discount lines for a promotion
+ * Each kind of discount is its own line so the summary can list them separately
+ * @param {Object} promotion - Validated promotion, or null
+ * @param {Object} context - { subtotal, shippingCost }
+ * @returns {Array} [{ type, code, label, amount }] (amounts are positive)
+ */
+export const calculateDiscounts = (promotion, { subtotal, shippingCost }) => {
+  if (!isPromotionEligible(promotion, subtotal)) return []
+
+  const value = Number(promotion.value) || 0
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      return [{
+        type: promotion.type,
+        code: promotion.code,
+        label: `${value}% off (${promotion.code})`,
+        amount: round(subtotal * Math.min(value, 100) / 100),
+      }]
+    case PROMOTION_TYPES.FIXED_AMOUNT:
+      return [{
+        type: promotion.type,
+        code: promotion.code,
+        label: `$${value.toFixed(2)} off (${promotion.code})`,
+        amount: round(Math.min(value, subtotal)),
+      }]
+    case PROMOTION_TYPES.FREE_SHIPPING:
+      return shippingCost > 0
+        ? [{ type: promotion.type, code: promotion.code, label: `Free shipping (${promotion.code})`, amount: shippingCost }]
+        : []
+    default:
+      return []
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Shipping - Rate engine for the selectable shipping methods
+ * 
+ * WHAT IT DOES:
+ * - Defines the shipping methods (standard, express, pickup) and their rate rules
+ * - Prices a method from destination zip, cart weight and subtotal
+ * - Applies free-shipping thresholds
+ * 
+ * RATE FORMULA:
+ * cost = (baseRate + perKg × weight above the first kg) × zone multiplier
+ * - Zone: distance between the destination zip's first digit and the warehouse's
+ * - Free when the subtotal reaches the method's freeOver threshold
+ */
+
+// First digit of the warehouse zip code; destinations further away cost more
+const ORIGIN_ZONE = 0
+
+// Extra cost per zone of distance (10% per zone)
+const ZONE_SURCHARGE = 0.1
+
+// Used when a product has no weight set
+export const DEFAULT_ITEM_WEIGHT_KG = 0.5
+
+export const DEFAULT_SHIPPING_METHOD = 'standard'
+
+export const SHIPPING_METHODS = [
+  { id: 'standard', label: 'Standard', estimate: '5-7 business days', baseRate: 10, perKg: 1, freeOver: 100 },
+  { id: 'express', label: 'Express', estimate: '1-2 business days', baseRate: 25, perKg: 2, freeOver: null },
+  { id: 'pickup', label: 'Store Pickup', estimate: 'Ready next business day', baseRate: 0, perKg: 0, freeOver: null },
+]
+
+/**
+ * getShippingMethod - Looks up a method, falling back to standard
+ * @param {string} id - Method id
+ * @returns {Object} Shipping method
+ */
+export const getShippingMethod = (id) =>
+  SHIPPING_METHODS.find((method) => method.id === id) ||
+  SHIPPING_METHODS.find((method) => method.id === DEFAULT_SHIPPING_METHOD)
+
+/**
+ * getCartWeight - Total weight of the items in kg
+ * @param {Array} items - Cart items ({ weight, quantity })
+ * @returns {number} Weight in kg
+ */
+export const getCartWeight = (items) =>
+  items.reduce((weight, item) => weight + (Number(item.weight) || DEFAULT_ITEM_WEIGHT_KG) * item.quantity, 0)
+
+/**
+ * getZoneMultiplier - Price multiplier for a destination zip
+ * Unknown/blank zips are priced as the home zone (used for estimates in the cart)
+ * @param {string} zipCode - Destination zip code
+ * @returns {number} Multiplier (1 for the home zone)
+ */
+export const getZoneMultiplier = (zipCode) => {
+  const firstDigit = parseInt(String(zipCode || '').trim().charAt(0), 10)
+  if (Number.isNaN(firstDigit)) return 1
+  return 1 + Math.abs(firstDigit - ORIGIN_ZONE) * ZONE_SURCHARGE
+}
+
+/**
+ * calculateShipping - Cost of one method for the given cart and destination
+ * @param {string} methodId - Shipping method id
+ * @param {Object} context - { items, subtotal, zipCode }
+ * @returns {Object} { method, cost, isFree, amountToFree }
+ *   amountToFree: how much more the subtotal needs for free shipping (null if no threshold)
+ */
+export const calculateShipping = (methodId, { items, subtotal, zipCode }) => {
+  const method = getShippingMethod(methodId)
+  const amountToFree = method.freeOver != null ? Math.max(0, method.freeOver - subtotal) : null
+
+  if (items.length === 0 || method.baseRate === 0 || amountToFree === 0) {
+    return { method, cost: 0, isFree: true, amountToFree }
+  }
+
+  const extraWeight = Math.max(0, getCartWeight(items) - 1)
+  const cost = (method.baseRate + method.perKg * extraWeight) * getZoneMultiplier(zipCode)
+  return { method, cost: Math.round(cost * 100) / 100, isFree: false, amountToFree }
+}
+
+/**
+ * getShippingOptions - Every method priced for the given cart and destination
+ * @param {Object} context - { items, subtotal, zipCode }
+ * @returns {Array} [{ method, cost, isFree, amountToFree }]
+ */
+export const getShippingOptions = (context) =>
+  SHIPPING_METHODS.map((method) => calculateShipping(method.id, context))
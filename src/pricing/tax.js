@@ -0,0 +1,197 @@
+/**
+ * Tax - Sales tax / VAT by destination and product tax category
+ * 
+ * WHAT IT DOES:
+ * - Looks up the rate for the shipping address (country, and state for US sales tax)
+ * - Applies the product's tax category (standard, reduced, exempt)
+ * - Handles tax-inclusive prices (tax is already in the price) and tax-exclusive
+ *   prices (tax is added on top)
+ * - Returns one breakdown line per rate so the summary and the order can show it
+ * 
+ * PRICE MODE:
+ * - Store-wide default from VITE_PRICES_INCLUDE_TAX ('true' → prices include tax)
+ * - A product's priceIncludesTax field overrides the default
+ */
+
+export const TAX_CATEGORIES = {
+  STANDARD: 'STANDARD',
+  REDUCED: 'REDUCED',
+  EXEMPT: 'EXEMPT',
+}
+
+export const PRICES_INCLUDE_TAX = import.meta.env.VITE_PRICES_INCLUDE_TAX === 'true'
+
+// Rates per country; US rates are per state (state-level sales tax, no local add-ons)
+const TAX_RATES = {
+  US: {
+    label: 'Sales tax',
+    regions: {
+      CA: { STANDARD: 0.0725, REDUCED: 0 },
+      FL: { STANDARD: 0.06, REDUCED: 0 },
+      IL: { STANDARD: 0.0625, REDUCED: 0.01 },
+      NJ: { STANDARD: 0.06625, REDUCED: 0 },
+      NY: { STANDARD: 0.04, REDUCED: 0 },
+      PA: { STANDARD: 0.06, REDUCED: 0 },
+      TX: { STANDARD: 0.0625, REDUCED: 0 },
+      WA: { STANDARD: 0.065, REDUCED: 0 },
+    },
+    // States not listed (e.g. OR, MT, NH, DE) collect no sales tax here
+    default: { STANDARD: 0, REDUCED: 0 },
+  },
+  GB: { label: 'VAT', default: { STANDARD: 0.2, REDUCED: 0.05 } },
+  IE: { label: 'VAT', default: { STANDARD: 0.23, REDUCED: 0.135 } },
+  DE: { label: 'VAT', default: { STANDARD: 0.19, REDUCED: 0.07 } },
+  FR: { label: 'VAT', default: { STANDARD: 0.2, REDUCED: 0.055 } },
+  NL: { label: 'VAT', default: { STANDARD: 0.21, REDUCED: 0.09 } },
+  ES: { label: 'VAT', default: { STANDARD: 0.21, REDUCED: 0.1 } },
+  IT: { label: 'VAT', default: { STANDARD: 0.22, REDUCED: 0.1 } },
+}
+
+// Countries the tax table knows; used for the country select on addresses
+export const TAX_COUNTRIES = {
+  US: 'United States',
+  GB: 'United Kingdom',
+  IE: 'Ireland',
+  DE: 'Germany',
+  FR: 'France',
+  NL: 'Netherlands',
+  ES: 'Spain',
+  IT: 'Italy',
+}
+
+// Regions of the countries whose tax depends on the region, keyed by the code TAX_RATES uses;
+// addresses in these countries pick the region from a select
+export const TAX_REGIONS = {
+  US: {
+    AL: 'Alabama',
+    AK: 'Alaska',
+    AZ: 'Arizona',
+    AR: 'Arkansas',
+    CA: 'California',
+    CO: 'Colorado',
+    CT: 'Connecticut',
+    DE: 'Delaware',
+    DC: 'District of Columbia',
+    FL: 'Florida',
+    GA: 'Georgia',
+    HI: 'Hawaii',
+    ID: 'Idaho',
+    IL: 'Illinois',
+    IN: 'Indiana',
+    IA: 'Iowa',
+    KS: 'Kansas',
+    KY: 'Kentucky',
+    LA: 'Louisiana',
+    ME: 'Maine',
+    MD: 'Maryland',
+    MA: 'Massachusetts',
+    MI: 'Michigan',
+    MN: 'Minnesota',
+    MS: 'Mississippi',
+    MO: 'Missouri',
+    MT: 'Montana',
+    NE: 'Nebraska',
+    NV: 'Nevada',
+    NH: 'New Hampshire',
+    NJ: 'New Jersey',
+    NM: 'New Mexico',
+    NY: 'New York',
+    NC: 'North Carolina',
+    ND: 'North Dakota',
+    OH: 'Ohio',
+    OK: 'Oklahoma',
+    OR: 'Oregon',
+    PA: 'Pennsylvania',
+    RI: 'Rhode Island',
+    SC: 'South Carolina',
+    SD: 'South Dakota',
+    TN: 'Tennessee',
+    TX: 'Texas',
+    UT: 'Utah',
+    VT: 'Vermont',
+    VA: 'Virginia',
+    WA: 'Washington',
+    WV: 'West Virginia',
+    WI: 'Wisconsin',
+    WY: 'Wyoming',
+  },
+}
+
+/**
+ * normalizeRegion - Region as typed or saved → the code used by the tax table
+ * Accepts the code in any case or the full name ('california', 'California' → 'CA');
+ * regions of other countries are only trimmed and upper-cased
+ * @param {string} country - Country code
+ * @param {string} region - Region code or name
+ * @returns {string} Region code
+ */
+export const normalizeRegion = (country, region) => {
+  const value = String(region || '').trim()
+  const regions = TAX_REGIONS[String(country || '').toUpperCase()]
+  const byName = regions && Object.keys(regions).find((code) => regions[code].toLowerCase() === value.toLowerCase())
+  return byName || value.toUpperCase()
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * getTaxRate - Rate for a destination and tax category
+ * @param {Object} destination - { country, region }
+ * @param {string} category - One of TAX_CATEGORIES (missing → STANDARD)
+ * @returns {Object} { rate, label } (rate 0 for unknown countries or exempt products)
+ */
+export const getTaxRate = (destination, category = TAX_CATEGORIES.STANDARD) => {
+  const country = TAX_RATES[String(destination?.country || '').toUpperCase()]
+  if (!country || category === TAX_CATEGORIES.EXEMPT) return { rate: 0, label: country?.label || 'Tax' }
+  const region = normalizeRegion(destination?.country, destination?.region)
+  const rates = country.regions?.[region] || country.default
+  return { rate: rates[category] ?? rates.STANDARD, label: country.label }
+}
+
+/**
+ * calculateTax - Tax for the items shipped to a destination
+ * 
+ * FLOW:
+ * 1. Item discounts (percentage / fixed) shrink every item's taxable amount proportionally
+ * 2. Each item is taxed at its category's rate for the destination
+ * 3. Inclusive items: tax is extracted from the price (price × rate / (1 + rate))
+ *    Exclusive items: tax is added (price × rate)
+ * 4. Amounts are grouped into one line per (rate, inclusive) pair
+ * 
+ * @param {Array} items - Cart items ({ price, quantity, taxCategory, priceIncludesTax })
+ * @param {Object} destination - { country, region }; without a country, returns null
+ * @param {number} itemDiscount - Discount taken off the items (not shipping)
+ * @returns {Object|null} { lines: [{ label, rate, inclusive, taxable, amount }], total, included, added }
+ */
+export const calculateTax = (items, destination, itemDiscount = 0) => {
+  if (!destination?.country) return null
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  const discountFactor = subtotal > 0 ? Math.max(0, subtotal - itemDiscount) / subtotal : 1
+
+  const linesByKey = {}
+  items.forEach((item) => {
+    const { rate, label } = getTaxRate(destination, item.taxCategory)
+    if (rate === 0) return
+    const inclusive = item.priceIncludesTax ?? PRICES_INCLUDE_TAX
+    const gross = item.price * item.quantity * discountFactor
+    const amount = inclusive ? (gross * rate) / (1 + rate) : gross * rate
+    const taxable = inclusive ? gross - amount : gross
+
+    const key = `${rate}-${inclusive}`
+    if (!linesByKey[key]) {
+      linesByKey[key] = { label: `${label} ${round(rate * 100)}%`, rate, inclusive, taxable: 0, amount: 0 }
+    }
+    linesByKey[key].taxable += taxable
+    linesByKey[key].amount += amount
+  })
+
+  const lines = Object.values(linesByKey).map((line) => ({
+    ...line,
+    taxable: round(line.taxable),
+    amount: round(line.amount),
+  }))
+  const included = round(lines.filter((line) => line.inclusive).reduce((sum, line) => sum + line.amount, 0))
+  const added = round(lines.filter((line) => !line.inclusive).reduce((sum, line) => sum + line.amount, 0))
+  return { lines, total: round(included + added), included, added }
+}
@@ -1,11 +1,13 @@
 import axios from 'axios'
+import { isTokenExpired } from '../utils/jwt'
 
 /**
  * API Configuration File - Centralized API service for frontend-backend communication
  * 
  * WHAT IT DOES:
  * - Configures axios instance with base URL and default headers
- * - Provides service objects for different API endpoints (products, orders, auth, upload)
+ * - Attaches the stored JWT to every request and handles expired sessions
+ * - Provides service objects for different API endpoints (products, orders, auth, users, upload)
  * - Each service method returns a Promise that resolves to API response
  * 
  * FLOW:
@@ -35,8 +37,111 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json', // Default content type for requests
   },
+  // Arrays are sent as repeated keys (category=a&category=b), which Spring binds to lists
+  paramsSerializer: { indexes: null },
 })
 
+// Auth endpoints answer 401 for bad credentials - those must not end the session
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register']
+
+/**
+ * isCallerHandled401 - Whether the caller asked to handle a 401 itself
+ * Requests made with { skipAuthRedirect: true } (e.g. Profile's change password and delete
+ * account, where 401 means the current password was wrong) keep the session - unless the
+ * stored token has expired, in which case the 401 is about the token after all
+ * @param {Object} config - Axios request config of the failed request
+ * @returns {boolean}
+ */
+const isCallerHandled401 = (config = {}) => {
+  if (!config.skipAuthRedirect) return false
+  const token = localStorage.getItem('token')
+  return Boolean(token) && !isTokenExpired(token)
+}
+
+// Called after an expired session is cleared; AuthProvider registers itself here
+let sessionExpiredHandler = null
+
+/**
+ * setSessionExpiredHandler - Registers the callback run when the API rejects the token
+ * @param {Function} handler - Called with no arguments after the session is cleared
+ * @returns {Function} Unregister function
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler
+  return () => {
+    if (sessionExpiredHandler === handler) sessionExpiredHandler = null
+  }
+}
+
+/**
+ * clearSession - Removes the stored token and user and notifies the app
+ * 
+ * WHAT IT DOES:
+ * - Deletes 'token' and 'user' from localStorage
+ * - Tells AuthProvider so every consumer of useAuth() updates
+ */
+const clearSession = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('user')
+  if (sessionExpiredHandler) sessionExpiredHandler()
+}
+
+/**
+ * redirectToLogin - Sends the browser to /login with a return-to URL
+ * 
+ * WHAT IT DOES:
+ * - Remembers the current path (including query string) in ?redirect=
+ * - Does nothing when the user is already on the login page
+ */
+const redirectToLogin = () => {
+  const { pathname, search } = window.location
+  if (pathname === '/login') return
+  const redirect = encodeURIComponent(pathname + search)
+  window.location.assign(`/login?redirect=${redirect}`)
+}
+
+/**
+ * Request Interceptor - Attaches the stored JWT to every outgoing request
+ * 
+ * FLOW:
+ * 1. Any service method calls api.get/post/put/delete
+ * 2. Interceptor reads token from localStorage (saved by Login page)
+ * 3. If present, adds "Authorization: Bearer <token>" header
+ */
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+/**
+ * Response Interceptor - Handles expired or invalid tokens centrally
+ * 
+ * FLOW:
+ * 1. Backend answers 401 (token missing, expired or invalid)
+ * 2. Interceptor clears the session and notifies AuthProvider
+ * 3. Browser is sent to /login?redirect=<current page>
+ * 4. Error is still rejected so the calling component can stop its spinner
+ * A 403 means the user is signed in but not allowed; it is left to the caller (and pages
+ * are guarded by RequireRole, which shows the Forbidden page)
+ * (login, register and requests flagged skipAuthRedirect are left to the caller)
+ */
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const status = error.response?.status
+    const url = error.config?.url || ''
+    const isAuthCall = AUTH_ENDPOINTS.some((endpoint) => url.startsWith(endpoint))
+    if (status === 401 && !isAuthCall && !isCallerHandled401(error.config)) {
+      clearSession()
+      redirectToLogin()
+    }
+    return Promise.reject(error)
+  }
+)
+
 /**
  * Product Service - Handles all product-related API calls
  * 
@@ -45,8 +150,10 @@ const api = axios.create({
  * - Each method returns a Promise that resolves to response object
  * 
  * METHODS:
- * - getAll(): GET /api/products - Returns all products
+ * - getAll(params): GET /api/products - Returns a page of products ({ content, totalElements, totalPages })
  * - getById(id): GET /api/products/{id} - Returns single product by ID
+ * - getFacets(params): GET /api/products/facets - Filter values with result counts
+ * - suggest(q): GET /api/products/suggest - Search bar suggestions and "did you mean"
  * - create(product): POST /api/products - Creates new product
  * - update(id, product): PUT /api/products/{id} - Updates existing product
  * - delete(id): DELETE /api/products/{id} - Deletes product by ID
@@ -60,7 +167,24 @@ export const productService = {
    * @returns {Promise} Resolves to response with data array of all products
    */
   // getAll accepts optional params: { search, category, sort, minPrice, maxPrice, page, size }
+  // plus the facet filters from utils/facets (category[], priceRange[], sellerId[], rating[], inStock)
   getAll: (params) => api.get('/products', { params }),
+
+  /**
+   * getFacets - Fetches the filter sidebar for the current query
+   * Counts are computed with the other active filters applied
+   * @param {Object} params - Same params as getAll (without page/size)
+   * @returns {Promise} Resolves to { categories (tree), priceRanges, sellers, ratings, inStock }
+   */
+  getFacets: (params) => api.get('/products/facets', { params }),
+
+  /**
+   * suggest - Autocomplete for the search bar
+   * The backend tolerates typos; didYouMean is set when the query itself matches nothing
+   * @param {string} q - What the user has typed so far
+   * @returns {Promise} Resolves to { products: [{ id, name, price, imageUrl }], categories: [{ value, label, count }], didYouMean }
+   */
+  suggest: (q) => api.get('/products/suggest', { params: { q } }),
   
   /**
    * getById - Fetches a single product by its ID
@@ -100,7 +224,9 @@ export const productService = {
  * 
  * METHODS:
  * - create(order): POST /api/orders - Creates a new order
- * - getByUser(userId): GET /api/orders/user/{userId} - Gets all orders for a user
+ * - getById(id): GET /api/orders/{id} - Gets a single order
+ * - cancel(id): PUT /api/orders/{id}/cancel - Cancels an order that hasn't been paid
+ * - getByUser(userId, params): GET /api/orders/user/{userId} - Gets a user's orders (paged)
  */
 export const orderService = {
   /**
@@ -111,11 +237,106 @@ export const orderService = {
   create: (order) => api.post('/orders', order),
   
   /**
-   * getByUser - Fetches all orders for a specific user
+   * getById - Fetches a single order with its items and status history
+   * @param {number|string} id - Order ID
+   * @returns {Promise} Resolves to response with order object
+   */
+  getById: (id) => api.get(`/orders/${id}`),
+  
+  /**
+   * cancel - Cancels an order (e.g. after the customer abandons payment)
+   * @param {number|string} id - Order ID
+   * @returns {Promise} Resolves to response with the cancelled order
+   */
+  cancel: (id) => api.put(`/orders/${id}/cancel`),
+  
+  /**
+   * getByUser - Fetches orders for a specific user, newest first
    * @param {number|string} userId - User ID
-   * @returns {Promise} Resolves to response with array of user's orders
+   * @param {Object} params - Optional { page, size, sort }
+   * @returns {Promise} Resolves to response with a page ({ content, totalPages, ... }) or array of orders
    */
-  getByUser: (userId) => api.get(`/orders/user/${userId}`),
+  getByUser: (userId, params = {}) => api.get(`/orders/user/${userId}`, { params }),
+}
+
+/**
+ * Payment Service - Handles payment steps for orders in PENDING_PAYMENT status
+ * 
+ * WHAT IT DOES:
+ * - Creates a payment intent with the gateway (card details never reach this app)
+ * - Reports the provider's result so the backend can verify and update the order
+ * 
+ * METHODS:
+ * - createIntent(orderId, provider): POST /api/payments/intents - Starts a gateway payment
+ * - confirm(orderId, payment): POST /api/payments/orders/{orderId}/confirm - Marks payment succeeded
+ * - reportFailure(orderId, payment): POST /api/payments/orders/{orderId}/failure - Records a failed attempt
+ */
+export const paymentService = {
+  // Resolves to { clientSecret, publishableKey } for the gateway SDK
+  createIntent: (orderId, provider) => api.post('/payments/intents', { orderId, provider }),
+  // payment: { provider, reference } - backend verifies the reference with the gateway
+  confirm: (orderId, payment) => api.post(`/payments/orders/${orderId}/confirm`, payment),
+  // payment: { provider, reason }
+  reportFailure: (orderId, payment) => api.post(`/payments/orders/${orderId}/failure`, payment),
+}
+
+/**
+ * Review Service - Handles product ratings and reviews
+ * 
+ * METHODS:
+ * - getByProduct(productId, params): GET /api/products/{id}/reviews - Paged reviews
+ *   (params: page, size, sort = newest | oldest | rating_desc | rating_asc | helpful)
+ * - getSummary(productId): GET /api/products/{id}/reviews/summary - { average, count, distribution }
+ * - getEligibility(productId): GET /api/products/{id}/reviews/eligibility - { canReview, reason }
+ *   Only customers with a delivered order containing the product can review it
+ * - create(productId, review): POST /api/products/{id}/reviews - { rating, title, text, photos }
+ */
+export const reviewService = {
+  getByProduct: (productId, params = {}) => api.get(`/products/${productId}/reviews`, { params }),
+  getSummary: (productId) => api.get(`/products/${productId}/reviews/summary`),
+  getEligibility: (productId) => api.get(`/products/${productId}/reviews/eligibility`),
+  create: (productId, review) => api.post(`/products/${productId}/reviews`, review),
+}
+
+/**
+ * Cart Service - Handles the logged-in user's server-side cart
+ * 
+ * WHAT IT DOES:
+ * - Stores the cart on the backend so it follows the user across devices
+ * - Guest carts stay in localStorage only
+ * 
+ * METHODS:
+ * - get(userId): GET /api/users/{userId}/cart - Gets the cart (accepted shapes: utils/cart fromServerCart)
+ * - replace(userId, items): PUT /api/users/{userId}/cart - Replaces the cart contents
+ */
+export const cartService = {
+  get: (userId) => api.get(`/users/${userId}/cart`),
+  // items: [{ productId, variantId, quantity }] - variantId is null for products without options
+  replace: (userId, items) => api.put(`/users/${userId}/cart`, { items }),
+}
+
+/**
+ * Wishlist Service - Handles the logged-in user's server-side wishlist
+ * 
+ * METHODS:
+ * - get(userId): GET /api/users/{userId}/wishlist - Gets the saved products
+ * - replace(userId, productIds): PUT /api/users/{userId}/wishlist - Replaces the list
+ */
+export const wishlistService = {
+  get: (userId) => api.get(`/users/${userId}/wishlist`),
+  replace: (userId, productIds) => api.put(`/users/${userId}/wishlist`, { productIds }),
+}
+
+/**
+ * Promotion Service - Handles promo codes
+ * 
+ * METHODS:
+ * - validate(code, cart): POST /api/promotions/validate - Checks a code against the cart
+ *   Resolves to { code, type, value, minSubtotal, description }; rejects (4xx) for unknown/expired codes
+ */
+export const promotionService = {
+  // cart: { subtotal, items: [{ productId, variantId, quantity }] } - variantId null without options
+  validate: (code, cart) => api.post('/promotions/validate', { code, ...cart }),
 }
 
 /**
@@ -140,6 +361,52 @@ export const authService = {
   register: (userData) => api.post('/auth/register', userData),
 }
 
+/**
+ * User Service - Handles the logged-in user's own account
+ * 
+ * WHAT IT DOES:
+ * - Provides methods for users to view/edit their profile, change password, and delete account
+ * 
+ * METHODS:
+ * - getById(id): GET /api/users/{id} - Gets the user's profile
+ * - update(id, profile): PUT /api/users/{id} - Updates name and email
+ * - changePassword(id, passwords, config): PUT /api/users/{id}/password - Changes password
+ * - delete(id, password, config): DELETE /api/users/{id} - Deletes the account
+ * (config is passed to axios, e.g. { skipAuthRedirect: true } to handle a wrong password)
+ */
+export const userService = {
+  getById: (id) => api.get(`/users/${id}`),
+  // profile: { name, email }
+  update: (id, profile) => api.put(`/users/${id}`, profile),
+  // passwords: { currentPassword, newPassword } - backend verifies currentPassword
+  changePassword: (id, passwords, config) => api.put(`/users/${id}/password`, passwords, config),
+  // password is sent in the body so the backend can confirm the deletion
+  delete: (id, password, config) => api.delete(`/users/${id}`, { ...config, data: { password } }),
+}
+
+/**
+ * Address Service - Handles the user's saved shipping addresses
+ * 
+ * WHAT IT DOES:
+ * - Provides methods to manage the address book used at checkout
+ * - Exactly one address per user is the default (preselected at checkout)
+ * 
+ * METHODS:
+ * - getAll(userId): GET /api/users/{userId}/addresses - Lists saved addresses
+ * - create(userId, address): POST /api/users/{userId}/addresses - Saves a new address
+ * - update(userId, addressId, address): PUT /api/users/{userId}/addresses/{addressId} - Edits an address
+ * - delete(userId, addressId): DELETE /api/users/{userId}/addresses/{addressId} - Removes an address
+ * - setDefault(userId, addressId): PUT /api/users/{userId}/addresses/{addressId}/default - Marks the default
+ */
+export const addressService = {
+  getAll: (userId) => api.get(`/users/${userId}/addresses`),
+  // address: { label, name, email, address, city, zipCode, region, country, isDefault }
+  create: (userId, address) => api.post(`/users/${userId}/addresses`, address),
+  update: (userId, addressId, address) => api.put(`/users/${userId}/addresses/${addressId}`, address),
+  delete: (userId, addressId) => api.delete(`/users/${userId}/addresses/${addressId}`),
+  setDefault: (userId, addressId) => api.put(`/users/${userId}/addresses/${addressId}/default`),
+}
+
 /**
  * Admin Service - Handles admin-related API calls
  * 
@@ -185,6 +452,40 @@ export const sellerService = {
   createProduct: (product, sellerId) => api.post('/seller/products', product, { params: { sellerId } }),
   updateProduct: (productId, product, sellerId) => api.put(`/seller/products/${productId}`, product, { params: { sellerId } }),
   deleteProduct: (productId, sellerId) => api.delete(`/seller/products/${productId}`, { params: { sellerId } }),
+  // Reviews of the seller's products; params can include page, size, unanswered=true
+  getReviews: (sellerId, params = {}) => api.get('/seller/reviews', { params: { sellerId, ...params } }),
+  // Public reply shown under the review on the product page
+  replyToReview: (reviewId, reply, sellerId) => api.put(`/seller/reviews/${reviewId}/reply`, { reply }, { params: { sellerId } }),
+}
+
+/**
+ * Merchandising Service - Home page sections
+ * 
+ * WHAT IT DOES:
+ * - Public: the home page layout (sections that are enabled and live right now, in order,
+ *   with their products resolved by the backend)
+ * - Admin: managing every section, including disabled and scheduled ones
+ * 
+ * SECTION SHAPE:
+ * { id, type: HERO | COLLECTION | BEST_SELLERS | NEW_ARRIVALS | ON_SALE, title, subtitle,
+ *   imageUrl, ctaLabel, ctaUrl, productIds (COLLECTION), limit, startsAt, endsAt, enabled,
+ *   position, products (home layout only) }
+ * 
+ * METHODS:
+ * - getHomeLayout(): GET /api/merchandising/home - Sections for the home page
+ * - getSections(): GET /api/admin/merchandising/sections - All sections, by position
+ * - createSection(section): POST /api/admin/merchandising/sections - Adds a section at the end
+ * - updateSection(id, section): PUT /api/admin/merchandising/sections/{id} - Updates a section
+ * - deleteSection(id): DELETE /api/admin/merchandising/sections/{id} - Deletes a section
+ * - reorderSections(sectionIds): PUT /api/admin/merchandising/sections/order - Saves the new order
+ */
+export const merchandisingService = {
+  getHomeLayout: () => api.get('/merchandising/home'),
+  getSections: () => api.get('/admin/merchandising/sections'),
+  createSection: (section) => api.post('/admin/merchandising/sections', section),
+  updateSection: (id, section) => api.put(`/admin/merchandising/sections/${id}`, section),
+  deleteSection: (id) => api.delete(`/admin/merchandising/sections/${id}`),
+  reorderSections: (sectionIds) => api.put('/admin/merchandising/sections/order', { sectionIds }),
 }
 
 /**
@@ -226,8 +527,8 @@ export const uploadService = {
     // Append the file with key 'file' (backend expects this key)
     formData.append('file', file)
     // Make POST request to upload endpoint
-    // Uses axios directly (not api instance) because we need different Content-Type
-    return axios.post(`${API_URL}/upload/image`, formData, {
+    // Goes through the api instance so the auth interceptors apply; Content-Type is overridden per request
+    return api.post('/upload/image', formData, {
       headers: {
         'Content-Type': 'multipart/form-data', // Required for file uploads
       },
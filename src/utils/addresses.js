@@ -0,0 +1,24 @@
+/**
+ * Address helpers - Shared between the address book and Checkout
+ */
+
+// Fields copied from a saved address into the order's shippingInfo
+export const SHIPPING_FIELDS = ['name', 'email', 'address', 'city', 'zipCode', 'region', 'country']
+
+/**
+ * toShippingInfo - Picks only the shippingInfo fields from an address
+ * @param {Object} address - Saved address (may carry id, label, isDefault)
+ * @returns {Object} { name, email, address, city, zipCode, region, country }
+ */
+export const toShippingInfo = (address) =>
+  SHIPPING_FIELDS.reduce((info, field) => ({ ...info, [field]: address?.[field] || '' }), {})
+
+/**
+ * formatAddress - One-line summary, e.g. "Jane Doe, 1 Main St, Springfield IL 62701, US"
+ * @param {Object} address - Saved address
+ * @returns {string}
+ */
+export const formatAddress = (address) =>
+  [address.name, address.address, [address.city, address.region, address.zipCode].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .join(', ')
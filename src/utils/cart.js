@@ -0,0 +1,163 @@
+import { getLineId, toCartLine, findVariant } from './variants'
+
+/**
+ * Cart helpers - Converting and merging carts for server sync
+ * 
+ * WHAT IT DOES:
+ * - Converts between CartContext items (cart line snapshot + quantity, see utils/variants)
+ *   and the server cart format ({ productId, variantId, quantity })
+ * - Merges the guest cart into a user's server cart at login
+ */
+
+/**
+ * fromServerCart - Server cart body → CartContext items
+ * 
+ * GET /users/{id}/cart CONTRACT:
+ * { items: [...] } or a bare array, each item one of:
+ * - { product, variantId, quantity } - product details included (preferred)
+ * - a cart line snapshot with quantity (as the frontend stores it)
+ * - { productId, variantId, quantity } - the shape PUT sends (toServerItems); these come back
+ *   as id-only lines without price or name, to be completed with fillCartLines()
+ * Lines whose variant no longer exists on the product are dropped
+ * 
+ * @param {Object|Array} data - Response body of cartService.get
+ * @returns {Array} Cart items
+ */
+export const fromServerCart = (data) => {
+  const items = Array.isArray(data) ? data : data?.items || []
+  return items
+    .map((item) => {
+      if (!item) return null
+      if (!item.product && item.id == null && item.productId != null) {
+        const { productId, ...rest } = item
+        return { ...rest, id: productId, lineId: item.variantId != null ? `${productId}:${item.variantId}` : String(productId) }
+      }
+      if (!item.product) return { ...item, lineId: getLineId(item) }
+      if (item.variantId == null) return { ...toCartLine(item.product), quantity: item.quantity }
+      const variant = findVariant(item.product, item.variantId)
+      return variant ? { ...toCartLine(item.product, variant), quantity: item.quantity } : null
+    })
+    .filter((item) => item && item.id != null && item.quantity > 0)
+}
+
+/**
+ * fillCartLines - Completes id-only lines from fromServerCart() with their product details
+ * Lines whose product (or variant) can't be loaded are dropped
+ * @param {Array} items - Cart items
+ * @param {Function} fetchProduct - (productId) → Promise<product>
+ * @returns {Promise<Array>} Cart items, all with a price
+ */
+export const fillCartLines = async (items, fetchProduct) => {
+  const ids = [...new Set(items.filter((item) => item.price == null).map((item) => item.id))]
+  if (ids.length === 0) return items
+  const results = await Promise.allSettled(ids.map((id) => fetchProduct(id)))
+  const products = {}
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') products[ids[index]] = result.value
+  })
+  return items.flatMap((item) => {
+    if (item.price != null) return [item]
+    const line = getCurrentLine(item, products[item.id])
+    return line ? [{ ...line, quantity: item.quantity }] : []
+  })
+}
+
+/**
+ * toServerItems - CartContext items → server cart items
+ * @param {Array} items - Cart items
+ * @returns {Array} [{ productId, variantId, quantity }]
+ */
+export const toServerItems = (items) =>
+  items.map((item) => ({ productId: item.id, variantId: item.variantId ?? null, quantity: item.quantity }))
+
+/**
+ * mergeCarts - Adds guest items into the server cart
+ * 
+ * CONFLICT RULES (same line - product and variant - in both carts):
+ * - Quantities are added together
+ * - The total is capped at the product's stockQuantity when it is known
+ * - The server's product snapshot wins (it has the current price and name)
+ * 
+ * @param {Array} serverItems - Items from the user's server cart
+ * @param {Array} guestItems - Items from the guest cart in this browser
+ * @returns {Array} Merged cart items (server order first, then new guest items)
+ */
+export const mergeCarts = (serverItems, guestItems) => {
+  const merged = serverItems.map((item) => ({ ...item }))
+  guestItems.forEach((guestItem) => {
+    const existing = merged.find((item) => getLineId(item) === getLineId(guestItem))
+    if (existing) {
+      const quantity = existing.quantity + guestItem.quantity
+      const stock = existing.stockQuantity ?? guestItem.stockQuantity
+      existing.quantity = stock != null ? Math.min(quantity, Math.max(stock, 1)) : quantity
+    } else {
+      merged.push({ ...guestItem })
+    }
+  })
+  return merged
+}
+
+/**
+ * getMaxQuantity - Most units of a product that can be in the cart
+ * @param {Object} product - Product or cart line (stockQuantity may be missing on old snapshots)
+ * @returns {number} stockQuantity, or Infinity when stock is unknown
+ */
+export const getMaxQuantity = (product) =>
+  typeof product?.stockQuantity === 'number' ? Math.max(product.stockQuantity, 0) : Infinity
+
+/**
+ * CART_CHANGE_TYPES - Ways a cart item can differ from the current product
+ * - price: price went up or down since the item was added
+ * - quantity: fewer units in stock than the cart asks for (quantity will be reduced)
+ * - unavailable: out of stock or no longer listed (item will be removed)
+ */
+export const CART_CHANGE_TYPES = {
+  PRICE: 'price',
+  QUANTITY: 'quantity',
+  UNAVAILABLE: 'unavailable',
+}
+
+/**
+ * getCurrentLine - A cart line rebuilt from a freshly fetched product (quantity not included)
+ * @param {Object} item - Cart line
+ * @param {Object|null} product - Current product, null when it was deleted
+ * @returns {Object|null} Current line snapshot, null when the product or variant is gone
+ */
+export const getCurrentLine = (item, product) => {
+  if (!product) return null
+  if (item.variantId == null) return toCartLine(product)
+  const variant = findVariant(product, item.variantId)
+  return variant ? toCartLine(product, variant) : null
+}
+
+/**
+ * getCartChanges - Compares cart snapshots with freshly fetched products
+ * 
+ * @param {Array} items - Cart items
+ * @param {Object} currentProducts - { [productId]: product, or null when the product is gone };
+ *   products that could not be checked are left out and never flagged
+ * @returns {Array} Changes: [{ lineId, name, variantLabel, type, previousPrice, price, previousQuantity, quantity }]
+ *   One entry per changed line; unavailable wins over quantity, quantity over price
+ */
+export const getCartChanges = (items, currentProducts) =>
+  items.reduce((changes, item) => {
+    if (!(item.id in currentProducts)) return changes
+    const current = getCurrentLine(item, currentProducts[item.id])
+    const change = {
+      lineId: getLineId(item),
+      name: item.name,
+      variantLabel: item.variantLabel,
+      previousPrice: item.price,
+      price: current ? current.price : item.price,
+      previousQuantity: item.quantity,
+      quantity: current ? Math.min(item.quantity, getMaxQuantity(current)) : 0,
+    }
+    if (change.quantity === 0) {
+      changes.push({ ...change, type: CART_CHANGE_TYPES.UNAVAILABLE })
+    } else if (change.quantity < item.quantity) {
+      changes.push({ ...change, type: CART_CHANGE_TYPES.QUANTITY })
+    } else if (Number(current.price) !== Number(item.price)) {
+      changes.push({ ...change, type: CART_CHANGE_TYPES.PRICE })
+    }
+    return changes
+  }, [])
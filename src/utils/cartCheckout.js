@@ -0,0 +1,48 @@
+import { getLineId } from './variants'
+
+/**
+ * Cart checkout helpers - Remembers which order was placed from the cart
+ *
+ * WHAT IT DOES:
+ * - Checkout records the order it created from the cart, with the cart lines it contained
+ *   (sessionStorage, this tab only)
+ * - When that order is paid (first try or a retry), usePaymentFlow clears the cart only if it
+ *   still holds exactly those lines; anything the customer added or changed since is kept
+ * - Orders paid from the order history, another tab or a later session never clear the cart
+ */
+
+const STORAGE_KEY = 'cart_checkout_order'
+
+// Lines and quantities of a cart, as a comparable string
+const getCartSignature = (items) =>
+  JSON.stringify(items.map((item) => [getLineId(item), item.quantity]).sort())
+
+/**
+ * setCartCheckoutOrder - Links an order to the cart it was placed from
+ * @param {string|number} orderId - Created order
+ * @param {Array} cartItems - Cart items the order was placed with
+ */
+export const setCartCheckoutOrder = (orderId, cartItems) => {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ orderId, cart: getCartSignature(cartItems) }))
+}
+
+/**
+ * isCartCheckoutOrder - Whether an order was placed from the cart as it is now
+ * @param {string|number} orderId - Order
+ * @param {Array} cartItems - Current cart items
+ * @returns {boolean}
+ */
+export const isCartCheckoutOrder = (orderId, cartItems) => {
+  try {
+    const record = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null')
+    return (
+      record?.orderId != null &&
+      String(record.orderId) === String(orderId) &&
+      record.cart === getCartSignature(cartItems)
+    )
+  } catch {
+    return false
+  }
+}
+
+export const endCartCheckout = () => sessionStorage.removeItem(STORAGE_KEY)
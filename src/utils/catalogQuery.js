@@ -0,0 +1,60 @@
+import { EMPTY_FILTERS, FACET_SOURCES } from './facets'
+
+/**
+ * Catalog query helpers - The product list state as URL search params
+ *
+ * URL FORMAT (defaults are left out, so /products is the unfiltered first page):
+ * - q: search text
+ * - sort: price_asc | price_desc | name_asc | name_desc
+ * - page: one-based page number (the app uses zero-based pages internally)
+ * - size: page size, one of PAGE_SIZE_OPTIONS
+ * - category, priceRange, sellerId, rating: facet values, repeated for multi-select
+ * - inStock=1: in-stock only
+ *
+ * e.g. /products?q=shirt&category=men&category=women&sort=price_asc&page=2
+ */
+
+export const DEFAULT_PAGE_SIZE = 20
+
+// Page sizes offered in the "Per page" selector; any other size in the URL falls back to the default
+export const PAGE_SIZE_OPTIONS = [20, 40, 60]
+
+/**
+ * parseCatalogQuery - URL search params → catalog state
+ * Invalid numbers fall back to the defaults, so hand-edited links still work
+ * @param {URLSearchParams} searchParams - From useSearchParams()
+ * @returns {Object} { search, sort, page, size, filters }
+ */
+export const parseCatalogQuery = (searchParams) => {
+  const page = parseInt(searchParams.get('page'), 10)
+  const size = parseInt(searchParams.get('size'), 10)
+  const filters = { ...EMPTY_FILTERS, inStock: searchParams.get('inStock') === '1' }
+  Object.keys(FACET_SOURCES).forEach((key) => {
+    filters[key] = searchParams.getAll(key)
+  })
+  return {
+    search: searchParams.get('q') || '',
+    sort: searchParams.get('sort') || '',
+    page: page > 0 ? page - 1 : 0,
+    size: PAGE_SIZE_OPTIONS.includes(size) ? size : DEFAULT_PAGE_SIZE,
+    filters,
+  }
+}
+
+/**
+ * toCatalogSearchParams - Catalog state → URL search params
+ * @param {Object} query - { search, sort, page, size, filters }
+ * @returns {URLSearchParams}
+ */
+export const toCatalogSearchParams = ({ search, sort, page, size, filters }) => {
+  const params = new URLSearchParams()
+  if (search) params.set('q', search)
+  if (sort) params.set('sort', sort)
+  Object.keys(FACET_SOURCES).forEach((key) => {
+    filters[key].forEach((value) => params.append(key, value))
+  })
+  if (filters.inStock) params.set('inStock', '1')
+  if (page > 0) params.set('page', String(page + 1))
+  if (size !== DEFAULT_PAGE_SIZE) params.set('size', String(size))
+  return params
+}
@@ -0,0 +1,68 @@
+/**
+ * Express checkout helpers - "Buy Now" checkout of a single product, outside the cart
+ *
+ * WHAT IT DOES:
+ * - Keeps the items being bought in sessionStorage (this tab only), so Checkout can place
+ *   the order without reading or changing the cart
+ * - Remembers the order created from the session, so a successful payment (first try or
+ *   a retry) ends the session instead of clearing the cart (see usePaymentFlow)
+ *
+ * SESSION SHAPE:
+ * { items: [cart line with quantity], orderId: null until the order is created }
+ */
+
+const STORAGE_KEY = 'express_checkout'
+
+// Query string that switches Checkout to the express session
+export const EXPRESS_CHECKOUT_PATH = '/checkout?mode=express'
+
+/**
+ * getExpressCheckout - Current session
+ * @returns {Object|null} { items, orderId }, or null when there is none
+ */
+export const getExpressCheckout = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null')
+    return session && Array.isArray(session.items) ? session : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * startExpressCheckout - Starts a new session, replacing any previous one
+ * @param {Object} line - Cart line (see utils/variants toCartLine) with quantity
+ */
+export const startExpressCheckout = (line) => {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ items: [line], orderId: null }))
+}
+
+/**
+ * updateExpressCheckoutItems - Replaces the items (e.g. after a price or stock change)
+ * @param {Array} items - Cart lines with quantity
+ */
+export const updateExpressCheckoutItems = (items) => {
+  const session = getExpressCheckout()
+  if (session) sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, items }))
+}
+
+/**
+ * setExpressCheckoutOrder - Links the order placed from the session to it
+ * @param {string|number} orderId - Created order
+ */
+export const setExpressCheckoutOrder = (orderId) => {
+  const session = getExpressCheckout()
+  if (session) sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, orderId }))
+}
+
+/**
+ * isExpressCheckoutOrder - Whether an order came from the current express session
+ * @param {string|number} orderId - Order
+ * @returns {boolean}
+ */
+export const isExpressCheckoutOrder = (orderId) => {
+  const session = getExpressCheckout()
+  return session?.orderId != null && String(session.orderId) === String(orderId)
+}
+
+export const endExpressCheckout = () => sessionStorage.removeItem(STORAGE_KEY)
@@ -0,0 +1,66 @@
+/**
+ * Facet helpers - Catalog filter state and the query params it maps to
+ *
+ * FACETS (returned by productService.getFacets):
+ * - categories: tree of { value, label, count, children }
+ * - priceRanges: [{ value: '25-50', label, count }]
+ * - sellers: [{ value: sellerId, label, count }]
+ * - ratings: [{ value: 4, label: '4 & up', count }]
+ * - inStock: { count } - products that can be bought right now
+ *
+ * Every list facet is multi-select; values within a facet are OR-ed, facets are AND-ed.
+ */
+
+// Selected values per facet; inStock is a single on/off switch
+export const EMPTY_FILTERS = {
+  category: [],
+  priceRange: [],
+  sellerId: [],
+  rating: [],
+  inStock: false,
+}
+
+// Facet filter key → key of its values in the getFacets response
+export const FACET_SOURCES = {
+  category: 'categories',
+  priceRange: 'priceRanges',
+  sellerId: 'sellers',
+  rating: 'ratings',
+}
+
+/**
+ * toFacetParams - Filter state → productService params
+ * Empty facets are left out so the URL stays short
+ * @param {Object} filters - Filter state (EMPTY_FILTERS shape)
+ * @returns {Object} Params for getAll/getFacets
+ */
+export const toFacetParams = (filters) => ({
+  category: filters.category.length > 0 ? filters.category : undefined,
+  priceRange: filters.priceRange.length > 0 ? filters.priceRange : undefined,
+  sellerId: filters.sellerId.length > 0 ? filters.sellerId : undefined,
+  rating: filters.rating.length > 0 ? filters.rating : undefined,
+  inStock: filters.inStock || undefined,
+})
+
+/**
+ * toggleFacetValue - Selects or deselects one value of a facet
+ * @param {Object} filters - Current filter state
+ * @param {string} key - Facet key (category, priceRange, sellerId, rating)
+ * @param {string|number} value - Facet value
+ * @returns {Object} New filter state
+ */
+export const toggleFacetValue = (filters, key, value) => {
+  const selected = filters[key].map(String)
+  return {
+    ...filters,
+    [key]: selected.includes(String(value)) ? selected.filter((v) => v !== String(value)) : [...selected, String(value)],
+  }
+}
+
+/**
+ * countActiveFilters - Number of selected facet values (for "Clear all" and badges)
+ * @param {Object} filters - Filter state
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) =>
+  Object.keys(FACET_SOURCES).reduce((count, key) => count + filters[key].length, 0) + (filters.inStock ? 1 : 0)
@@ -0,0 +1,35 @@
+/**
+ * Image helpers - Product image lists and upload checks
+ *
+ * Products keep `imageUrl` (the main image, used by carts, orders and older screens)
+ * and may have `images`, the full ordered list with the main image first.
+ */
+
+// Formats accepted by the upload endpoint
+export const VALID_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff']
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024 // 5MB
+
+/**
+ * getProductImages - Ordered image URLs of a product
+ * @param {Object} product - Product (images list, or only imageUrl on older products)
+ * @returns {Array} URLs, main image first; empty when the product has no image
+ */
+export const getProductImages = (product) => {
+  if (Array.isArray(product?.images) && product.images.length > 0) return product.images
+  return product?.imageUrl ? [product.imageUrl] : []
+}
+
+/**
+ * validateImageFile - Checks a file before it is sent to uploadService.uploadImage
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null when the file can be uploaded
+ */
+export const validateImageFile = (file) => {
+  if (!VALID_IMAGE_TYPES.includes(file.type)) {
+    return 'Invalid image format. Supported: JPG, PNG, GIF, WebP, BMP, TIFF'
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    return 'File size exceeds 5MB limit'
+  }
+  return null
+}
@@ -0,0 +1,107 @@
+import { getOrderItems, getOrderTotals, getShippingInfo } from './orders'
+
+/**
+ * Invoice helpers - Standalone HTML invoice for an order
+ * 
+ * WHAT IT DOES:
+ * - Builds a self-contained HTML document (inline styles, no external assets)
+ * - Triggers a browser download of that document as invoice-<id>.html
+ */
+
+// Escapes user-entered text (names, addresses) before it goes into the HTML
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const money = (value) => `$${Number(value || 0).toFixed(2)}`
+
+/**
+ * buildInvoiceHtml - Renders an order as a printable HTML invoice
+ * @param {Object} order - Order from the backend
+ * @returns {string} Complete HTML document
+ */
+export const buildInvoiceHtml = (order) => {
+  const items = getOrderItems(order)
+  const shipping = getShippingInfo(order)
+  const { subtotal, shipping: shippingCost, discounts, taxLines, total } = getOrderTotals(order)
+  const date = order.orderDate ? new Date(order.orderDate).toLocaleDateString() : new Date().toLocaleDateString()
+
+  const rows = items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}${item.variantLabel ? ` (${escapeHtml(item.variantLabel)})` : ''}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.price)}</td>
+          <td class="num">${money(item.price * item.quantity)}</td>
+        </tr>`
+    )
+    .join('')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Invoice #${escapeHtml(order.id)} - ShopHub</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+  h1 { color: #4f46e5; margin-bottom: 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  .num { text-align: right; }
+  .totals td { border: none; }
+  .grand td { font-weight: bold; font-size: 1.2em; border-top: 2px solid #1f2937; }
+</style>
+</head>
+<body>
+  <h1>ShopHub</h1>
+  <p>Invoice #${escapeHtml(order.id)}<br />Date: ${escapeHtml(date)}</p>
+  <h3>Bill To / Ship To</h3>
+  <p>
+    ${escapeHtml(shipping.name)}<br />
+    ${escapeHtml(shipping.address)}<br />
+    ${escapeHtml(shipping.city)} ${escapeHtml(shipping.region)} ${escapeHtml(shipping.zipCode)}<br />
+    ${escapeHtml(shipping.country)}<br />
+    ${escapeHtml(shipping.email)}
+  </p>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr class="totals"><td colspan="3" class="num">Subtotal</td><td class="num">${money(subtotal)}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">Shipping</td><td class="num">${money(shippingCost)}</td></tr>${discounts
+        .map((discount) => `
+      <tr class="totals"><td colspan="3" class="num">${escapeHtml(discount.label)}</td><td class="num">-${money(discount.amount)}</td></tr>`)
+        .join('')}${taxLines
+        .map((line) => `
+      <tr class="totals"><td colspan="3" class="num">${line.inclusive ? 'Incl. ' : ''}${escapeHtml(line.label)}</td><td class="num">${money(line.amount)}</td></tr>`)
+        .join('')}
+      <tr class="grand"><td colspan="3" class="num">Total</td><td class="num">${money(total)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>`
+}
+
+/**
+ * downloadInvoice - Saves the invoice as invoice-<id>.html
+ * @param {Object} order - Order from the backend
+ */
+export const downloadInvoice = (order) => {
+  const blob = new Blob([buildInvoiceHtml(order)], { type: 'text/html' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `invoice-${order.id}.html`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
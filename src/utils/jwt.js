@@ -0,0 +1,14 @@
+/**
+ * isTokenExpired - Checks the "exp" claim of a JWT without verifying its signature
+ * Tokens that cannot be decoded are left for the backend to reject
+ * @param {string} token - Encoded JWT string
+ * @returns {boolean} true if the token carries an expiry in the past
+ */
+export const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return typeof payload.exp === 'number' && payload.exp * 1000 < Date.now()
+  } catch (e) {
+    return false
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Merchandising helpers - Home page section types, schedules and the admin form
+ *
+ * See merchandisingService (services/api) for the section shape. Product sections other
+ * than COLLECTION are filled by the backend (best sellers, newest, discounted products).
+ */
+
+export const SECTION_TYPES = [
+  { value: 'HERO', label: 'Hero banner' },
+  { value: 'COLLECTION', label: 'Featured collection' },
+  { value: 'BEST_SELLERS', label: 'Best sellers' },
+  { value: 'NEW_ARRIVALS', label: 'New arrivals' },
+  { value: 'ON_SALE', label: 'On sale' },
+]
+
+export const getSectionTypeLabel = (type) => SECTION_TYPES.find((t) => t.value === type)?.label || type
+
+// Products shown by a product section when the admin doesn't set a limit
+export const DEFAULT_SECTION_LIMIT = 8
+
+export const EMPTY_SECTION = {
+  type: 'COLLECTION',
+  title: '',
+  subtitle: '',
+  imageUrl: '',
+  ctaLabel: '',
+  ctaUrl: '',
+  productIds: [],
+  limit: DEFAULT_SECTION_LIMIT,
+  startsAt: null,
+  endsAt: null,
+  enabled: true,
+}
+
+/**
+ * getScheduleStatus - Where a section is in its schedule
+ * @param {Object} section - Section with startsAt / endsAt (ISO strings, either may be empty)
+ * @param {Date} now - Current time
+ * @returns {string} 'disabled' | 'scheduled' | 'live' | 'ended'
+ */
+export const getScheduleStatus = (section, now = new Date()) => {
+  if (!section.enabled) return 'disabled'
+  if (section.startsAt && new Date(section.startsAt) > now) return 'scheduled'
+  if (section.endsAt && new Date(section.endsAt) <= now) return 'ended'
+  return 'live'
+}
+
+/**
+ * toDateTimeInput - ISO date → value for an <input type="datetime-local"> (local time)
+ * @param {string|null} iso - ISO date
+ * @returns {string} 'YYYY-MM-DDTHH:mm', or '' when not set
+ */
+export const toDateTimeInput = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+/**
+ * fromDateTimeInput - datetime-local value → ISO date (null when cleared)
+ * @param {string} value - Input value
+ * @returns {string|null}
+ */
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null)
+
+/**
+ * isSafeUrl - Whether a link or image URL from a section may be used on the page
+ * Only http(s) URLs and in-app paths ('/sale', not '//host') are accepted, so a
+ * javascript: or data: URL typed into the admin form never reaches an href or a style
+ * @param {string} url - URL from the section
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url) => {
+  const value = String(url || '').trim()
+  if (/^\/(?![/\\])/.test(value)) return true
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * toCssUrl - URL as a quoted CSS url() value, with quotes, backslashes and line breaks escaped
+ * @param {string} url - Image URL (check it with isSafeUrl first)
+ * @returns {string} e.g. url("https://cdn.example.com/hero.jpg")
+ */
+export const toCssUrl = (url) =>
+  `url("${String(url).replace(/["\\\n\r]/g, (char) => `\\${char.charCodeAt(0).toString(16)} `)}")`
+
+/**
+ * validateSection - Checks the admin form before saving
+ * @param {Object} section - Section being edited
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSection = (section) => {
+  if (section.type === 'HERO' && !(section.title || '').trim()) return 'A hero banner needs a title'
+  if (section.type === 'HERO' && !section.imageUrl) return 'A hero banner needs an image'
+  if (section.type === 'COLLECTION' && section.productIds.length === 0) return 'Add at least one product to the collection'
+  if (section.imageUrl && !isSafeUrl(section.imageUrl)) return 'The image must be an http(s) URL or a path starting with /'
+  if ((section.ctaLabel || '').trim() && !(section.ctaUrl || '').trim()) return 'The button needs a link'
+  if ((section.ctaUrl || '').trim() && !isSafeUrl(section.ctaUrl)) {
+    return 'The button link must be an http(s) URL or a path starting with /'
+  }
+  if (section.startsAt && section.endsAt && new Date(section.endsAt) <= new Date(section.startsAt)) {
+    return 'The end date must be after the start date'
+  }
+  return null
+}
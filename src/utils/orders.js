@@ -0,0 +1,129 @@
+/**
+ * Order helpers - Status metadata and normalization of order payloads
+ * 
+ * WHAT IT DOES:
+ * - Defines labels/colors for every order status
+ * - Builds the status timeline shown on the order detail page
+ * - Sorts unpaginated order lists newest first
+ * - Reads line items and shipping info regardless of which field names the backend used
+ */
+
+// Normal lifecycle of an order, in order
+export const ORDER_STEPS = ['PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED']
+
+// Display label and Tailwind classes for each status
+export const ORDER_STATUS_META = {
+  PENDING_PAYMENT: { label: 'Awaiting Payment', className: 'bg-orange-100 text-orange-800' },
+  PENDING: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  PROCESSING: { label: 'Processing', className: 'bg-blue-100 text-blue-800' },
+  SHIPPED: { label: 'Shipped', className: 'bg-indigo-100 text-indigo-800' },
+  DELIVERED: { label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  CANCELLED: { label: 'Cancelled', className: 'bg-red-100 text-red-800' },
+}
+
+/**
+ * getStatusMeta - Label and classes for a status, with a neutral fallback
+ * @param {string} status - Order status from the backend
+ * @returns {Object} { label, className }
+ */
+export const getStatusMeta = (status) =>
+  ORDER_STATUS_META[status] || { label: status || 'Unknown', className: 'bg-gray-100 text-gray-800' }
+
+/**
+ * sortNewestFirst - Orders by orderDate, newest first (higher id first on equal or missing dates)
+ * For list endpoints that return a bare array and ignore the requested sort
+ * @param {Array} orders - Orders from the backend
+ * @returns {Array} New sorted array
+ */
+export const sortNewestFirst = (orders) =>
+  [...orders].sort(
+    (a, b) =>
+      (b.orderDate ? new Date(b.orderDate).getTime() : 0) - (a.orderDate ? new Date(a.orderDate).getTime() : 0) ||
+      Number(b.id) - Number(a.id)
+  )
+
+/**
+ * getOrderItems - Line items of an order as { id, productId, name, variantLabel, sku, imageUrl, price, quantity }
+ * Works with cart snapshots (items) and backend order items (orderItems with nested product)
+ * @param {Object} order - Order from the backend
+ * @returns {Array} Normalized line items
+ */
+export const getOrderItems = (order) =>
+  (order?.items || order?.orderItems || []).map((item) => ({
+    id: item.id ?? item.product?.id,
+    productId: item.productId ?? item.product?.id ?? item.id,
+    name: item.productName || item.product?.name || item.name,
+    variantLabel: item.variantLabel || null,
+    sku: item.sku || null,
+    imageUrl: item.imageUrl || item.product?.imageUrl,
+    price: Number(item.price ?? item.product?.price ?? 0),
+    quantity: item.quantity || 1,
+  }))
+
+/**
+ * getShippingInfo - Shipping address of an order
+ * @param {Object} order - Order from the backend
+ * @returns {Object} { name, email, address, city, zipCode, region, country }
+ */
+export const getShippingInfo = (order) => order?.shippingInfo || order?.shippingAddress || {}
+
+/**
+ * buildStatusTimeline - Steps for the status timeline
+ * 
+ * FLOW:
+ * 1. If the backend sent statusHistory, use its entries (with timestamps)
+ * 2. Otherwise derive the steps from ORDER_STEPS and the current status
+ * 3. A cancelled order ends with a CANCELLED step
+ * 4. An unpaid order starts with an "Awaiting Payment" step
+ * 
+ * @param {Object} order - Order from the backend
+ * @returns {Array} [{ status, label, date, done }]
+ */
+export const buildStatusTimeline = (order) => {
+  if (Array.isArray(order?.statusHistory) && order.statusHistory.length > 0) {
+    return order.statusHistory.map((entry) => ({
+      status: entry.status,
+      label: getStatusMeta(entry.status).label,
+      date: entry.changedAt || entry.timestamp || entry.date,
+      done: true,
+    }))
+  }
+
+  if (order?.status === 'CANCELLED') {
+    return [
+      { status: 'PENDING', label: getStatusMeta('PENDING').label, date: order.orderDate, done: true },
+      { status: 'CANCELLED', label: getStatusMeta('CANCELLED').label, date: null, done: true },
+    ]
+  }
+
+  // Unpaid orders haven't entered the normal lifecycle yet
+  if (order?.status === 'PENDING_PAYMENT') {
+    return [
+      { status: 'PENDING_PAYMENT', label: getStatusMeta('PENDING_PAYMENT').label, date: order.orderDate, done: true },
+      ...ORDER_STEPS.map((status) => ({ status, label: getStatusMeta(status).label, date: null, done: false })),
+    ]
+  }
+
+  const currentIndex = ORDER_STEPS.indexOf(order?.status)
+  return ORDER_STEPS.map((status, index) => ({
+    status,
+    label: getStatusMeta(status).label,
+    date: index === 0 ? order?.orderDate : null,
+    done: index <= currentIndex,
+  }))
+}
+
+/**
+ * getOrderTotals - Money lines of an order
+ * Older orders don't store shippingCost; it is whatever the total adds on top of the items
+ * @param {Object} order - Order from the backend
+ * @returns {Object} { subtotal, shipping, discounts, taxLines, total }
+ */
+export const getOrderTotals = (order) => {
+  const subtotal = order?.subtotal ?? getOrderItems(order).reduce((sum, item) => sum + item.price * item.quantity, 0)
+  const total = Number(order?.total || 0)
+  const shipping = order?.shippingCost ?? Math.max(0, total - subtotal)
+  const discounts = (order?.discounts || []).map((discount) => ({ ...discount, amount: Number(discount.amount) || 0 }))
+  const taxLines = (order?.tax?.lines || []).map((line) => ({ ...line, amount: Number(line.amount) || 0 }))
+  return { subtotal: Number(subtotal), shipping: Number(shipping), discounts, taxLines, total }
+}
@@ -0,0 +1,37 @@
+/**
+ * Pagination helpers - Normalize list responses into one page shape
+ * 
+ * WHAT IT DOES:
+ * - Accepts either a Spring-style page ({ content, totalElements, totalPages })
+ *   or a bare array from endpoints that don't paginate yet
+ * - Always returns { content, totalElements, totalPages, page, size }
+ */
+
+/**
+ * toPage - Converts an API response body into a page object
+ * @param {Object|Array} data - Response body
+ * @param {number} page - Requested zero-based page index
+ * @param {number} size - Requested page size
+ * @returns {Object} { content, totalElements, totalPages, page, size }
+ */
+export const toPage = (data, page, size) => {
+  // Bare array → the server ignored page/size, so slice it here
+  if (Array.isArray(data)) {
+    const totalElements = data.length
+    return {
+      content: data.slice(page * size, page * size + size),
+      totalElements,
+      totalPages: Math.max(1, Math.ceil(totalElements / size)),
+      page,
+      size,
+    }
+  }
+  const content = data?.content || []
+  return {
+    content,
+    totalElements: data?.totalElements ?? content.length,
+    totalPages: Math.max(1, data?.totalPages ?? 1),
+    page: data?.number ?? page,
+    size: data?.size ?? size,
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Recent search helpers - The search bar's history, kept in localStorage
+ *
+ * Stored per user like the cart (recent_searches_user_<id> / recent_searches_guest),
+ * newest first, without duplicates
+ */
+
+// Searches kept in the history
+const MAX_RECENT_SEARCHES = 5
+
+const getKey = (userId) => (userId ? `recent_searches_user_${userId}` : 'recent_searches_guest')
+
+/**
+ * getRecentSearches - Stored searches, newest first
+ * @param {string|number} userId - Logged-in user, or null for guests
+ * @returns {Array} Search terms
+ */
+export const getRecentSearches = (userId) => {
+  try {
+    const terms = JSON.parse(localStorage.getItem(getKey(userId)) || '[]')
+    return Array.isArray(terms) ? terms : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * addRecentSearch - Moves a term to the top of the history (case-insensitive match)
+ * @param {string|number} userId - Logged-in user, or null for guests
+ * @param {string} term - Search term
+ * @returns {Array} Updated history
+ */
+export const addRecentSearch = (userId, term) => {
+  const trimmed = term.trim()
+  if (!trimmed) return getRecentSearches(userId)
+  const terms = [
+    trimmed,
+    ...getRecentSearches(userId).filter((t) => t.toLowerCase() !== trimmed.toLowerCase()),
+  ].slice(0, MAX_RECENT_SEARCHES)
+  localStorage.setItem(getKey(userId), JSON.stringify(terms))
+  return terms
+}
+
+/**
+ * removeRecentSearch - Drops one term from the history
+ * @param {string|number} userId - Logged-in user, or null for guests
+ * @param {string} term - Search term
+ * @returns {Array} Updated history
+ */
+export const removeRecentSearch = (userId, term) => {
+  const terms = getRecentSearches(userId).filter((t) => t !== term)
+  localStorage.setItem(getKey(userId), JSON.stringify(terms))
+  return terms
+}
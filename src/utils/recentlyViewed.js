@@ -0,0 +1,56 @@
+/**
+ * Recently viewed helpers - Product history for the detail page and Home
+ *
+ * Stored per user like the cart (recently_viewed_user_<id> / recently_viewed_guest),
+ * newest first, one entry per product. Only product ids are stored; the products are
+ * fetched again for display (loadRecentlyViewed), so prices and stock are never stale.
+ */
+
+// Products kept in the history
+const MAX_RECENTLY_VIEWED = 12
+
+const getKey = (userId) => (userId ? `recently_viewed_user_${userId}` : 'recently_viewed_guest')
+
+/**
+ * getRecentlyViewed - Stored product ids, newest first
+ * Histories saved as product snapshots by earlier versions are read as their ids
+ * @param {string|number} userId - Logged-in user, or null for guests
+ * @returns {Array} Product ids
+ */
+export const getRecentlyViewed = (userId) => {
+  try {
+    const items = JSON.parse(localStorage.getItem(getKey(userId)) || '[]')
+    return Array.isArray(items)
+      ? items.map((item) => (item && typeof item === 'object' ? item.id : item)).filter((id) => id != null)
+      : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * addRecentlyViewed - Moves a product to the top of the history
+ * @param {string|number} userId - Logged-in user, or null for guests
+ * @param {string|number} productId - Product that was just viewed
+ * @returns {Array} Updated history (product ids)
+ */
+export const addRecentlyViewed = (userId, productId) => {
+  const ids = [
+    productId,
+    ...getRecentlyViewed(userId).filter((id) => String(id) !== String(productId)),
+  ].slice(0, MAX_RECENTLY_VIEWED)
+  localStorage.setItem(getKey(userId), JSON.stringify(ids))
+  return ids
+}
+
+/**
+ * loadRecentlyViewed - Current products for a history, in history order
+ * Products that can't be loaded (deleted, network errors) are left out
+ * @param {Array} ids - Product ids from getRecentlyViewed / addRecentlyViewed
+ * @param {Function} fetchProduct - (productId) → Promise<product>
+ * @returns {Promise<Array>} Products
+ */
+export const loadRecentlyViewed = async (ids, fetchProduct) => {
+  const results = await Promise.allSettled(ids.map((id) => fetchProduct(id)))
+  return results.filter((result) => result.status === 'fulfilled').map((result) => result.value)
+}
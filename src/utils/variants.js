@@ -0,0 +1,158 @@
+/**
+ * Variant helpers - Products with option axes (Size, Color...) and per-variant SKUs
+ *
+ * PRODUCT SHAPE:
+ * - options: [{ name: 'Size', values: ['S', 'M', 'L'] }, { name: 'Color', values: ['Red', 'Blue'] }]
+ * - variants: [{ id, sku, options: { Size: 'M', Color: 'Red' }, price, stockQuantity, imageUrl }]
+ *   price / imageUrl are optional and fall back to the product's
+ * Products without options are a single SKU, as before.
+ *
+ * CART LINES:
+ * A cart line is a product snapshot with the chosen variant's price, stock and image applied,
+ * plus lineId (product id + variant key) so red-M and blue-L stay separate lines.
+ * Variant lines keep the product's own price, stock and image in productSnapshot, so the
+ * line can be turned back into a plain product (e.g. saved to the wishlist).
+ */
+
+/**
+ * hasVariants - Whether the product needs an option choice before it can be added to the cart
+ * @param {Object} product - Product or cart line
+ * @returns {boolean}
+ */
+export const hasVariants = (product) => Array.isArray(product?.options) && product.options.length > 0
+
+/**
+ * getVariantKey - Stable identifier of a variant (backend id, or SKU before it's saved)
+ * @param {Object} variant - Variant
+ * @returns {string|number}
+ */
+export const getVariantKey = (variant) => variant.id ?? variant.sku
+
+/**
+ * findVariant - Variant of a product by its key
+ * @param {Object} product - Product with variants
+ * @param {string|number} variantKey - Value from getVariantKey()
+ * @returns {Object|undefined} The variant
+ */
+export const findVariant = (product, variantKey) =>
+  (product?.variants || []).find((variant) => String(getVariantKey(variant)) === String(variantKey))
+
+/**
+ * findVariantByOptions - Variant matching a full set of option selections
+ * @param {Object} product - Product with options and variants
+ * @param {Object} selections - { Size: 'M', Color: 'Red' }
+ * @returns {Object|undefined} The variant, undefined while a selection is missing
+ */
+export const findVariantByOptions = (product, selections) => {
+  if (!product.options.every((option) => selections[option.name])) return undefined
+  return (product.variants || []).find((variant) =>
+    product.options.every((option) => variant.options?.[option.name] === selections[option.name])
+  )
+}
+
+/**
+ * getVariantLabel - Option values of a variant, e.g. "M / Red"
+ * @param {Object} variant - Variant
+ * @param {Array} options - Product options (gives the order of the values)
+ * @returns {string}
+ */
+export const getVariantLabel = (variant, options = []) => {
+  const names = options.length > 0 ? options.map((option) => option.name) : Object.keys(variant.options || {})
+  return names.map((name) => variant.options?.[name]).filter(Boolean).join(' / ')
+}
+
+/**
+ * getLineId - Key of a cart line
+ * Lines saved before variants existed only have the product id
+ * @param {Object} item - Cart line
+ * @returns {string}
+ */
+export const getLineId = (item) => item.lineId || String(item.id)
+
+/**
+ * toCartLine - Product + chosen variant → cart line snapshot (without quantity)
+ * The variants and images lists are left out to keep stored carts small; options are kept
+ * so the line still knows it came from a product with choices
+ * @param {Object} product - Product
+ * @param {Object|null} variant - Chosen variant, null for single-SKU products
+ * @returns {Object} Cart line
+ */
+export const toCartLine = (product, variant = null) => {
+  const { variants, images, ...snapshot } = product
+  if (!variant) {
+    return { ...snapshot, lineId: String(product.id) }
+  }
+  const variantKey = getVariantKey(variant)
+  return {
+    ...snapshot,
+    lineId: `${product.id}:${variantKey}`,
+    variantId: variantKey,
+    variantLabel: getVariantLabel(variant, product.options),
+    sku: variant.sku,
+    price: variant.price ?? product.price,
+    stockQuantity: variant.stockQuantity,
+    imageUrl: variant.imageUrl || product.imageUrl,
+    productSnapshot: { price: product.price, stockQuantity: product.stockQuantity, imageUrl: product.imageUrl },
+  }
+}
+
+/**
+ * buildVariants - All option combinations as variants, keeping rows that already exist
+ * Used by the seller form after the options change
+ * @param {Array} options - [{ name, values }]
+ * @param {Array} existing - Current variants (matched by their option values)
+ * @returns {Array} Variants, one per combination
+ */
+export const buildVariants = (options, existing = []) => {
+  const axes = options.filter((option) => option.name && option.values.length > 0)
+  if (axes.length === 0) return []
+  const combinations = axes.reduce(
+    (combos, option) => combos.flatMap((combo) => option.values.map((value) => ({ ...combo, [option.name]: value }))),
+    [{}]
+  )
+  return combinations.map((combo) => {
+    const match = existing.find((variant) => axes.every((option) => variant.options?.[option.name] === combo[option.name]))
+    return match ? { ...match, options: combo } : { sku: '', options: combo, price: '', stockQuantity: 0, imageUrl: '' }
+  })
+}
+
+/**
+ * normalizeProductVariants - Seller form values → product payload fields
+ * 
+ * WHAT IT DOES:
+ * - Drops empty options, converts variant prices/stock to numbers (blank price → null,
+ *   meaning "use the product price")
+ * - Sets the product's stockQuantity to the total of its variants
+ * 
+ * @param {Object} product - Product form values with options and variants
+ * @returns {{ product: Object, error: string|null }} Payload, or an error message for the seller
+ */
+export const normalizeProductVariants = (product) => {
+  const options = (product.options || []).filter((option) => option.name && option.values.length > 0)
+  if (options.length === 0) {
+    return { product: { ...product, options: [], variants: [] }, error: null }
+  }
+  const variants = (product.variants || []).map((variant) => ({
+    ...variant,
+    sku: (variant.sku || '').trim(),
+    price: variant.price === '' || variant.price == null ? null : parseFloat(variant.price),
+    stockQuantity: parseInt(variant.stockQuantity, 10) || 0,
+    imageUrl: variant.imageUrl || null,
+  }))
+  const skus = variants.map((variant) => variant.sku)
+  if (skus.some((sku) => !sku)) {
+    return { product, error: 'Every variant needs a SKU' }
+  }
+  if (new Set(skus).size !== skus.length) {
+    return { product, error: 'Variant SKUs must be unique' }
+  }
+  return {
+    product: {
+      ...product,
+      options,
+      variants,
+      stockQuantity: variants.reduce((total, variant) => total + variant.stockQuantity, 0),
+    },
+    error: null,
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Wishlist helpers - Converting and merging wishlists for server sync
+ * 
+ * Wishlist items are product snapshots without a quantity, one per product
+ */
+
+/**
+ * toWishlistItem - Product or cart item → wishlist item
+ * A cart line's quantity and variant fields are dropped, and a variant line gets the product's
+ * own price, stock and image back (utils/variants productSnapshot), so the wishlist shows the
+ * product and its options are chosen again when it goes back to the cart
+ * @param {Object} product - Product snapshot or cart line
+ * @returns {Object} Wishlist item
+ */
+export const toWishlistItem = (product) => {
+  const { quantity, lineId, variantId, variantLabel, sku, productSnapshot, ...item } = product
+  if (productSnapshot) return { ...item, ...productSnapshot }
+  // Variant lines saved before productSnapshot existed: the stock was the variant's
+  if (variantId != null) delete item.stockQuantity
+  return item
+}
+
+/**
+ * fromServerWishlist - Server wishlist body → WishlistContext items
+ * Accepts { items: [...] } or a bare array of products or { product } entries
+ * @param {Object|Array} data - Response body of wishlistService.get
+ * @returns {Array} Wishlist items
+ */
+export const fromServerWishlist = (data) => {
+  const items = Array.isArray(data) ? data : data?.items || []
+  return items
+    .map((item) => (item.product ? item.product : item))
+    .filter((item) => item && item.id != null)
+}
+
+/**
+ * mergeWishlists - Adds guest wishlist items the server list doesn't have yet
+ * @param {Array} serverItems - Items from the user's server wishlist
+ * @param {Array} guestItems - Items saved while logged out
+ * @returns {Array} Server items first, then new guest items
+ */
+export const mergeWishlists = (serverItems, guestItems) => [
+  ...serverItems,
+  ...guestItems.filter((guestItem) => !serverItems.some((item) => item.id === guestItem.id)),
+]